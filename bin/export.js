@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { program } from 'commander';
+import { exportDeck } from '../lib/export.js';
+
+program
+  .name('export')
+  .description('Export HTML slides to a PDF handout or PNG images')
+  .option('-i, --input <path>', 'Input HTML file', 'output/slides.html')
+  .option('-o, --output <path>', 'Output PDF file or PNG folder (default: next to the input)')
+  .option('-f, --format <format>', 'Export format (pdf, png)', 'pdf')
+  .option('--page-size <size>', 'PDF page size (slide, a4, letter)', 'slide')
+  .option('--notes', 'Print speaker notes under each slide (PDF)')
+  .option('--width <number>', 'PNG width', '1920')
+  .option('--height <number>', 'PNG height', '1080')
+  .parse();
+
+const opts = program.opts();
+
+if (!fs.existsSync(opts.input)) {
+  console.error(`Error: Input file not found: ${path.resolve(opts.input)}`);
+  console.error('Run "npm run build" first to generate HTML slides.');
+  process.exit(1);
+}
+
+try {
+  const result = await exportDeck(opts.input, {
+    format: opts.format,
+    output: opts.output,
+    pageSize: opts.pageSize,
+    notes: opts.notes,
+    width: parseInt(opts.width) || 1920,
+    height: parseInt(opts.height) || 1080,
+    log: console.log
+  });
+
+  console.log(`${result.format === 'pdf' ? 'PDF' : 'PNG images'} saved to: ${result.output}`);
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { program } from 'commander';
+import { loadConfig, projectRoot } from '../lib/config.js';
+
+program
+  .name('lint')
+  .description('Check slide content against the style presets in preferences.yaml')
+  .argument('[content]', 'Content YAML file', 'content/slides.yaml')
+  .option('-p, --preset <name>', 'Preset to check against (overrides config and YAML)')
+  .option('--preferences <path>', 'Preferences file', path.join(projectRoot, 'preferences.yaml'))
+  .option('--json', 'Print violations as JSON')
+  .option('--strict', 'Exit non-zero on warnings too')
+  .parse();
+
+const contentPath = program.args[0] || 'content/slides.yaml';
+const opts = program.opts();
+
+// Load content
+let content;
+try {
+  content = yaml.load(fs.readFileSync(contentPath, 'utf-8'));
+} catch (err) {
+  console.error(`Error reading content file: ${contentPath}`);
+  console.error('Run "npm run parse" first to generate content from outline.');
+  process.exit(1);
+}
+
+// Load preferences
+let preferences;
+try {
+  preferences = yaml.load(fs.readFileSync(opts.preferences, 'utf-8'));
+} catch (err) {
+  console.error(`Error reading preferences file: ${opts.preferences}`);
+  process.exit(1);
+}
+
+const presets = preferences?.presets || {};
+
+// Active preset: preferences.yaml < config.yaml < presentation config.yaml
+// < slides.yaml < --preset, then per-slide `preset:` on top
+let config;
+try {
+  config = loadConfig(path.dirname(path.resolve(contentPath)));
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
+const deckPreset = opts.preset || content?.preset || config.preset || preferences?.preset;
+
+const unknown = [deckPreset, ...(content?.slides || []).map(slide => slide.preset)]
+  .filter(name => name && !presets[name]);
+if (unknown.length > 0) {
+  console.error(`Error: Unknown preset "${unknown[0]}" (available: ${Object.keys(presets).join(', ')})`);
+  process.exit(1);
+}
+
+const violations = [];
+(content?.slides || []).forEach((slide, index) => {
+  const presetName = slide.preset || deckPreset;
+  for (const violation of lintSlide(slide, presets[presetName] || {})) {
+    violations.push({
+      slide: index + 1,
+      title: slide.title || '',
+      preset: presetName,
+      ...violation
+    });
+  }
+});
+
+const errors = violations.filter(v => v.severity === 'error').length;
+const warnings = violations.length - errors;
+
+if (opts.json) {
+  console.log(JSON.stringify({
+    file: contentPath,
+    preset: deckPreset,
+    errors,
+    warnings,
+    violations
+  }, null, 2));
+} else {
+  for (const v of violations) {
+    const label = v.severity === 'error' ? 'error  ' : 'warning';
+    console.log(`${contentPath}: slide ${v.slide} "${v.title}": ${label} ${v.message} [${v.rule}]`);
+  }
+  if (violations.length === 0) {
+    console.log(`${contentPath}: no issues (preset: ${deckPreset})`);
+  } else {
+    console.log(`\n${errors} error(s), ${warnings} warning(s) (preset: ${deckPreset})`);
+  }
+}
+
+if (errors > 0 || (opts.strict && warnings > 0)) {
+  process.exit(1);
+}
+
+function lintSlide(slide, preset) {
+  const found = [];
+  const bullets = (slide.content || [])
+    .filter(item => item.type === 'bullets')
+    .flatMap(item => item.items || []);
+  const topLevel = bullets.filter(item => !item.level);
+
+  if (preset.max_bullets && topLevel.length > preset.max_bullets) {
+    found.push({
+      rule: 'max-bullets',
+      severity: 'error',
+      message: `too many bullets (${topLevel.length} > ${preset.max_bullets})`
+    });
+  }
+
+  for (const item of bullets) {
+    const words = wordCount(item.text);
+    if (preset.max_words_per_bullet && words > preset.max_words_per_bullet) {
+      found.push({
+        rule: 'max-words-per-bullet',
+        severity: 'error',
+        message: `bullet too long (${words} > ${preset.max_words_per_bullet} words): "${item.text}"`
+      });
+    }
+
+    if (preset.no_full_sentences && isSentence(item.text)) {
+      found.push({
+        rule: 'no-full-sentences',
+        severity: 'warning',
+        message: `full sentence in bullet: "${item.text}"`
+      });
+    }
+  }
+
+  const texts = [
+    ...bullets.map(item => item.text),
+    ...(slide.content || []).filter(item => item.type === 'text' || item.type === 'quote').map(item => item.text),
+    ...(slide.content || []).filter(item => item.type === 'table')
+      .flatMap(item => [item.header || [], ...(item.rows || [])].flat().map(String))
+  ];
+  if (preset.prefer_metrics && texts.length > 0 && !texts.some(hasMetric)) {
+    found.push({
+      rule: 'prefer-metrics',
+      severity: 'warning',
+      message: 'no metric or number on slide'
+    });
+  }
+
+  return found;
+}
+
+// Text without Markdown: links keep their label, emphasis markers go
+function plainText(text) {
+  return String(text || '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\*+|~~|`/g, '')
+    .replace(/(^|\s)_+|_+(?=\s|$|[.,!?])/g, '$1');
+}
+
+function wordCount(text) {
+  return plainText(text).split(/\s+/).filter(Boolean).length;
+}
+
+// A capitalised run of five or more words ending in sentence punctuation
+function isSentence(text) {
+  const plain = plainText(text).trim();
+  return wordCount(plain) >= 5 && /^[A-Z]/.test(plain) && /[.!?]$/.test(plain) && !plain.endsWith('...');
+}
+
+function hasMetric(text) {
+  return /`[^`]+`/.test(text || '') || /\d/.test(text || '');
+}
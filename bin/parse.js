@@ -4,16 +4,24 @@ import fs from 'fs';
 import path from 'path';
 import yaml from 'js-yaml';
 import { program } from 'commander';
+import { rebaseImages, toYaml } from '../lib/outline.js';
+import { mergeDecks } from '../lib/merge.js';
+import { detectFormat, importDeck, importFormats } from '../lib/importers/index.js';
 
 program
   .name('parse')
-  .description('Parse plain text outline into YAML format')
+  .description('Parse plain text outline (or an existing deck) into YAML format')
   .argument('[input]', 'Input file path', 'input/outline.txt')
   .option('-o, --output <path>', 'Output YAML file', 'content/slides.yaml')
+  .option('-f, --from <format>', `Input format (${importFormats().join(', ')}); default: by file extension`)
+  .option('--split <mode>', 'Markdown slide split: auto, rule (---), h1, h2 or h3', 'auto')
+  .option('--overwrite', 'Replace the output YAML instead of merging into it')
   .parse();
 
 const inputPath = program.args[0] || 'input/outline.txt';
-const outputPath = program.opts().output;
+const opts = program.opts();
+const outputPath = opts.output;
+const format = opts.from || detectFormat(inputPath);
 
 // Read input file
 let content;
@@ -21,6 +29,9 @@ try {
   content = fs.readFileSync(inputPath, 'utf-8');
 } catch (err) {
   console.error(`Error reading file: ${inputPath}`);
+  if (format !== 'outline') {
+    process.exit(1);
+  }
   console.error('Create an outline file first. Example:');
   console.error(`
 # My Presentation
@@ -40,8 +51,36 @@ Some content here.
   process.exit(1);
 }
 
-// Parse the outline
-const result = parseOutline(content);
+// Parse the outline. Image paths in it are relative to the outline; the
+// YAML's are relative to the YAML.
+let result;
+try {
+  result = importDeck(content, { from: format, split: opts.split });
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
+result = rebaseImages(result, path.dirname(inputPath), path.dirname(outputPath));
+
+// Keep hand edits in an existing slides.yaml (timing, audio, image
+// attributes...) unless asked to start over
+if (!opts.overwrite && fs.existsSync(outputPath)) {
+  let existing;
+  try {
+    existing = yaml.load(fs.readFileSync(outputPath, 'utf-8'));
+  } catch (err) {
+    console.error(`Error reading existing YAML: ${outputPath}`);
+    console.error(err.message);
+    console.error('Fix it, or run with --overwrite to replace it.');
+    process.exit(1);
+  }
+
+  const merged = mergeDecks(result, existing);
+  for (const conflict of merged.conflicts) {
+    console.warn(`Warning: slide "${conflict.slide}": ${conflict.message}`);
+  }
+  result = merged.deck;
+}
 
 // Ensure output directory exists
 const outputDir = path.dirname(outputPath);
@@ -50,188 +89,7 @@ if (!fs.existsSync(outputDir)) {
 }
 
 // Write YAML output
-const yamlContent = yaml.dump(result, {
-  lineWidth: -1,
-  quotingType: '"',
-  forceQuotes: false
-});
+const yamlContent = toYaml(result);
 
 fs.writeFileSync(outputPath, yamlContent);
 console.log(`Parsed ${result.slides.length} slides to ${outputPath}`);
-
-function parseOutline(text) {
-  const lines = text.split('\n');
-  const result = {
-    title: '',
-    subtitle: '',
-    theme: 'minimal',
-    timing: {
-      default: 5
-    },
-    slides: []
-  };
-
-  // Split into slide blocks by ---
-  const blocks = text.split(/^---$/m).map(b => b.trim()).filter(Boolean);
-
-  if (blocks.length === 0) {
-    return result;
-  }
-
-  // First block might be title slide
-  const firstBlock = blocks[0];
-  const titleMatch = firstBlock.match(/^#\s+(.+)$/m);
-  const subtitleMatch = firstBlock.match(/^##\s+(.+)$/m);
-
-  if (titleMatch) {
-    result.title = titleMatch[1].trim();
-  }
-  if (subtitleMatch) {
-    result.subtitle = subtitleMatch[1].trim();
-  }
-
-  // Check if first block is just title/subtitle
-  const firstBlockLines = firstBlock.split('\n').filter(l => l.trim());
-  const isTitleOnly = firstBlockLines.every(line =>
-    line.match(/^#{1,2}\s+/) || line.trim() === ''
-  );
-
-  const slideBlocks = isTitleOnly ? blocks.slice(1) : blocks;
-
-  // Parse each slide block
-  for (const block of slideBlocks) {
-    const slide = parseSlideBlock(block);
-    if (slide) {
-      result.slides.push(slide);
-    }
-  }
-
-  return result;
-}
-
-function parseSlideBlock(block) {
-  const lines = block.split('\n');
-  const slide = {
-    title: '',
-    content: []
-  };
-
-  let i = 0;
-
-  // Find title (# heading)
-  while (i < lines.length) {
-    const line = lines[i].trim();
-    if (line.match(/^#\s+(.+)$/)) {
-      slide.title = line.replace(/^#\s+/, '').trim();
-      i++;
-      break;
-    } else if (line) {
-      // Non-empty line that's not a title
-      break;
-    }
-    i++;
-  }
-
-  // Parse content
-  let currentBullets = [];
-
-  while (i < lines.length) {
-    const line = lines[i];
-    const trimmed = line.trim();
-
-    // Skip empty lines between content
-    if (!trimmed) {
-      // Flush bullets if we have them
-      if (currentBullets.length > 0) {
-        slide.content.push({
-          type: 'bullets',
-          items: currentBullets
-        });
-        currentBullets = [];
-      }
-      i++;
-      continue;
-    }
-
-    // Check for image
-    const imageMatch = trimmed.match(/^!\[([^\]]*)\]\(([^)]+)\)$/);
-    if (imageMatch) {
-      if (currentBullets.length > 0) {
-        slide.content.push({
-          type: 'bullets',
-          items: currentBullets
-        });
-        currentBullets = [];
-      }
-      slide.content.push({
-        type: 'image',
-        alt: imageMatch[1],
-        src: imageMatch[2]
-      });
-      i++;
-      continue;
-    }
-
-    // Check for bullet point
-    const bulletMatch = line.match(/^(\s*)[-*]\s+(.+)$/);
-    if (bulletMatch) {
-      const indent = bulletMatch[1].length;
-      const text = bulletMatch[2].trim();
-      currentBullets.push({
-        text,
-        level: Math.floor(indent / 2)
-      });
-      i++;
-      continue;
-    }
-
-    // Check for code block
-    if (trimmed.startsWith('```')) {
-      if (currentBullets.length > 0) {
-        slide.content.push({
-          type: 'bullets',
-          items: currentBullets
-        });
-        currentBullets = [];
-      }
-      const lang = trimmed.slice(3).trim();
-      const codeLines = [];
-      i++;
-      while (i < lines.length && !lines[i].trim().startsWith('```')) {
-        codeLines.push(lines[i]);
-        i++;
-      }
-      slide.content.push({
-        type: 'code',
-        language: lang || 'text',
-        code: codeLines.join('\n')
-      });
-      i++;
-      continue;
-    }
-
-    // Otherwise it's a paragraph
-    if (currentBullets.length > 0) {
-      slide.content.push({
-        type: 'bullets',
-        items: currentBullets
-      });
-      currentBullets = [];
-    }
-    slide.content.push({
-      type: 'text',
-      text: trimmed
-    });
-    i++;
-  }
-
-  // Flush remaining bullets
-  if (currentBullets.length > 0) {
-    slide.content.push({
-      type: 'bullets',
-      items: currentBullets
-    });
-  }
-
-  return slide;
-}
@@ -2,19 +2,28 @@
 
 import fs from 'fs';
 import path from 'path';
-import { spawn, exec } from 'child_process';
+import yaml from 'js-yaml';
+import { exec } from 'child_process';
 import { createServer } from 'http';
 import { program } from 'commander';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const projectRoot = path.dirname(__dirname);
+import { loadConfig, projectRoot } from '../lib/config.js';
+import { parseOutline, rebaseImages, toYaml } from '../lib/outline.js';
+import { mergeDecks } from '../lib/merge.js';
+import { buildHtml } from '../lib/build.js';
+import { sourceFiles, writeManifest } from '../lib/manifest.js';
+import { mimeTypes } from '../lib/inline.js';
+import { themeDirs } from '../lib/themes.js';
+import { validateDeck, formatError } from '../lib/validate.js';
 
 program
   .name('preview')
   .description('Preview slides in browser')
   .option('-p, --port <number>', 'Server port', '3000')
   .option('-f, --file <path>', 'HTML file to serve', 'output/slides.html')
+  .option('-w, --watch', 'Rebuild on changes and live-reload the browser')
+  .option('--outline <path>', 'Outline to watch (default: outline.txt next to the HTML, else input/outline.txt)')
+  .option('--content <path>', 'Content YAML to watch (default: slides.yaml next to the HTML, else content/slides.yaml)')
+  .option('-t, --theme <name>', 'Theme override for watch rebuilds')
   .option('--no-open', 'Do not open browser automatically')
   .parse();
 
@@ -22,7 +31,35 @@ const opts = program.opts();
 const port = parseInt(opts.port) || 3000;
 const htmlFile = path.resolve(opts.file);
 
-if (!fs.existsSync(htmlFile)) {
+// Sources for watch mode. A presentation folder keeps everything side by
+// side; the single-presentation layout uses input/ and content/.
+const htmlDir = path.dirname(htmlFile);
+const isPresentationDir = fs.existsSync(path.join(htmlDir, 'slides.yaml')) ||
+  fs.existsSync(path.join(htmlDir, 'outline.txt'));
+const outlineFile = path.resolve(opts.outline ||
+  (isPresentationDir ? path.join(htmlDir, 'outline.txt') : 'input/outline.txt'));
+const contentFile = path.resolve(opts.content ||
+  (isPresentationDir ? path.join(htmlDir, 'slides.yaml') : 'content/slides.yaml'));
+
+// Open event streams to browsers, and the last build error (if any)
+const clients = new Set();
+let buildError = null;
+
+// YAML text we wrote ourselves, so the watcher doesn't rebuild twice
+let lastWrittenYaml = null;
+
+// A rebuild in progress, and whether another was asked for meanwhile
+let building = false;
+let queued = null;
+
+if (opts.watch) {
+  await rebuild({ outlineChanged: false });
+  startWatching();
+}
+
+// In watch mode a failed first build still serves a page, which shows the
+// error and reloads once the build is fixed
+if (!opts.watch && !fs.existsSync(htmlFile)) {
   console.error(`Error: File not found: ${htmlFile}`);
   console.error('Run "npm run build" first to generate HTML slides.');
   process.exit(1);
@@ -30,12 +67,29 @@ if (!fs.existsSync(htmlFile)) {
 
 // Simple static file server
 const server = createServer((req, res) => {
+  const url = req.url.split('?')[0];
+
+  // Live-reload event stream
+  if (opts.watch && url === '/__events') {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 1000\n\n');
+    if (buildError) {
+      res.write(`event: build-error\ndata: ${JSON.stringify(buildError)}\n\n`);
+    }
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+    return;
+  }
+
   let filePath = htmlFile;
 
   // Handle requests for assets relative to output folder
-  if (req.url !== '/' && req.url !== '/slides.html') {
-    const outputDir = path.dirname(htmlFile);
-    filePath = path.join(outputDir, req.url);
+  if (url !== '/' && url !== '/slides.html') {
+    filePath = path.join(htmlDir, decodeURIComponent(url));
   }
 
   // Security: prevent path traversal
@@ -45,6 +99,12 @@ const server = createServer((req, res) => {
     return;
   }
 
+  if (opts.watch && filePath === htmlFile && !fs.existsSync(filePath)) {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(injectLiveReload('<!DOCTYPE html><html><body></body></html>'));
+    return;
+  }
+
   if (!fs.existsSync(filePath)) {
     res.writeHead(404);
     res.end('Not found');
@@ -52,21 +112,6 @@ const server = createServer((req, res) => {
   }
 
   const ext = path.extname(filePath).toLowerCase();
-  const mimeTypes = {
-    '.html': 'text/html',
-    '.css': 'text/css',
-    '.js': 'application/javascript',
-    '.json': 'application/json',
-    '.png': 'image/png',
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.gif': 'image/gif',
-    '.svg': 'image/svg+xml',
-    '.webp': 'image/webp',
-    '.mp4': 'video/mp4',
-    '.webm': 'video/webm'
-  };
-
   const contentType = mimeTypes[ext] || 'application/octet-stream';
 
   fs.readFile(filePath, (err, content) => {
@@ -75,6 +120,9 @@ const server = createServer((req, res) => {
       res.end('Error loading file');
       return;
     }
+    if (opts.watch && filePath === htmlFile) {
+      content = injectLiveReload(content.toString('utf-8'));
+    }
     res.writeHead(200, { 'Content-Type': contentType });
     res.end(content);
   });
@@ -83,6 +131,9 @@ const server = createServer((req, res) => {
 server.listen(port, () => {
   const url = `http://localhost:${port}`;
   console.log(`Preview server running at ${url}`);
+  if (opts.watch) {
+    console.log(`Watching ${path.relative(process.cwd(), outlineFile)}, ${path.relative(process.cwd(), contentFile)}, config and themes`);
+  }
   console.log('Press Ctrl+C to stop\n');
   console.log('Keyboard shortcuts in presentation:');
   console.log('  Arrow keys / Space  - Navigate slides');
@@ -112,6 +163,147 @@ server.listen(port, () => {
   }
 });
 
+// Parse (when the outline changed) and build in-process. Errors are kept
+// and pushed to the browser instead of stopping the server. Changes during
+// a build (diagrams can take a while) trigger one more build afterwards.
+async function rebuild({ outlineChanged }) {
+  if (building) {
+    queued = { outlineChanged: outlineChanged || Boolean(queued?.outlineChanged) };
+    return;
+  }
+  building = true;
+
+  try {
+    if (outlineChanged || (!fs.existsSync(contentFile) && fs.existsSync(outlineFile))) {
+      let deck = rebaseImages(parseOutline(fs.readFileSync(outlineFile, 'utf-8')), path.dirname(outlineFile), path.dirname(contentFile));
+      if (fs.existsSync(contentFile)) {
+        const merged = mergeDecks(deck, yaml.load(fs.readFileSync(contentFile, 'utf-8')));
+        for (const conflict of merged.conflicts) {
+          console.warn(`Warning: slide "${conflict.slide}": ${conflict.message}`);
+        }
+        deck = merged.deck;
+      }
+      lastWrittenYaml = toYaml(deck);
+      fs.mkdirSync(path.dirname(contentFile), { recursive: true });
+      fs.writeFileSync(contentFile, lastWrittenYaml);
+      console.log(`Parsed ${deck.slides.length} slides to ${path.relative(process.cwd(), contentFile)}`);
+    }
+
+    const source = fs.readFileSync(contentFile, 'utf-8');
+    const errors = validateDeck(source, { file: path.relative(process.cwd(), contentFile) });
+    if (errors.length > 0) {
+      throw new Error(errors.map(formatError).join('\n'));
+    }
+
+    const content = yaml.load(source);
+    const config = loadConfig(path.dirname(contentFile), {
+      content,
+      overrides: { theme: opts.theme }
+    });
+    const inputs = new Set(sourceFiles(contentFile));
+    const html = await buildHtml(content, config, { contentPath: contentFile, outputPath: htmlFile, inputs });
+
+    fs.mkdirSync(htmlDir, { recursive: true });
+    fs.writeFileSync(htmlFile, html);
+    writeManifest(htmlFile, { inputs, config, options: { standalone: false }, tools: ['reveal.js'] });
+    console.log(`Built ${content.slides?.length || 0} slides to ${path.relative(process.cwd(), htmlFile)}`);
+
+    buildError = null;
+    broadcast('reload', {});
+  } catch (err) {
+    buildError = { message: err.message };
+    console.error(`Build failed: ${err.message}`);
+    broadcast('build-error', buildError);
+  } finally {
+    building = false;
+  }
+
+  if (queued) {
+    const next = queued;
+    queued = null;
+    await rebuild(next);
+  }
+}
+
+function startWatching() {
+  const globalConfig = path.join(projectRoot, 'config.yaml');
+  const localConfig = path.join(path.dirname(contentFile), 'config.yaml');
+  const preferences = path.join(projectRoot, 'preferences.yaml');
+  const themesDirs = themeDirs(path.dirname(contentFile));
+  const watched = new Set([outlineFile, contentFile, globalConfig, localConfig, preferences]);
+
+  // Watch directories rather than files: editors often save by replacing
+  // the file, which silently ends a watch on the file itself
+  const dirs = new Set([...watched].map(file => path.dirname(file)));
+  let timer = null;
+  let outlineChanged = false;
+
+  const onChange = (dir, filename) => {
+    if (!filename) return;
+    const file = path.join(dir, filename.toString());
+    const isTheme = themesDirs.includes(dir) && file.endsWith('.css');
+    if (!watched.has(file) && !isTheme) return;
+
+    if (file === contentFile && lastWrittenYaml !== null) {
+      try {
+        if (fs.readFileSync(contentFile, 'utf-8') === lastWrittenYaml) return;
+      } catch (err) {
+        // Mid-save; let the rebuild report it if it persists
+      }
+    }
+
+    if (file === outlineFile) {
+      outlineChanged = true;
+    }
+
+    // Editors fire several events per save; rebuild once they settle
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changed = outlineChanged;
+      outlineChanged = false;
+      rebuild({ outlineChanged: changed });
+    }, 150);
+  };
+
+  for (const dir of [...dirs, ...themesDirs]) {
+    if (!fs.existsSync(dir)) continue;
+    fs.watch(dir, (event, filename) => onChange(dir, filename));
+  }
+}
+
+function broadcast(event, data) {
+  for (const client of clients) {
+    client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+}
+
+// Client side of live reload: reload on a successful rebuild (reveal's URL
+// hash keeps the current slide), show an overlay when a build fails
+function injectLiveReload(html) {
+  const script = `
+<script>
+(function() {
+  var events = new EventSource('/__events');
+  events.addEventListener('reload', function() {
+    window.location.reload();
+  });
+  events.addEventListener('build-error', function(e) {
+    var overlay = document.getElementById('__preview-error');
+    if (!overlay) {
+      overlay = document.createElement('pre');
+      overlay.id = '__preview-error';
+      overlay.style.cssText = 'position:fixed;inset:0;z-index:9999;margin:0;padding:2em;' +
+        'background:rgba(20,0,0,0.92);color:#ff8080;font:16px/1.5 monospace;white-space:pre-wrap;overflow:auto';
+      document.body.appendChild(overlay);
+    }
+    overlay.textContent = 'Build failed\\n\\n' + JSON.parse(e.data).message;
+  });
+})();
+</script>
+`;
+  return html.includes('</body>') ? html.replace('</body>', `${script}</body>`) : html + script;
+}
+
 // Handle graceful shutdown
 process.on('SIGINT', () => {
   console.log('\nShutting down preview server...');
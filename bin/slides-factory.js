@@ -0,0 +1,619 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline/promises';
+import { spawn } from 'child_process';
+import { program } from 'commander';
+import { projectRoot } from '../lib/config.js';
+import { importFormats } from '../lib/importers/index.js';
+import {
+  presentationsDir,
+  listPresentations,
+  presentationFiles,
+  presentationStatus
+} from '../lib/presentations.js';
+
+// One command for everything in presentations/. Each command runs the
+// matching bin/ script with the presentation's paths and whatever options
+// were given; build and render can also run over every presentation.
+
+const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
+const paint = code => text => useColor ? `\x1b[${code}m${text}\x1b[0m` : text;
+const red = paint('31');
+const green = paint('32');
+const yellow = paint('33');
+const blue = paint('34');
+
+const cpus = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+
+// Options the batch runner handles itself rather than passing on
+const batchOptions = ['all', 'jobs', 'force'];
+
+program
+  .name('slides-factory')
+  .description('Slides Factory - Presentation Management Tool')
+  .addHelpText('after', `
+Examples:
+  slides-factory new quarterly-review
+  slides-factory all quarterly-review
+  slides-factory build quarterly-review -t dark --standalone
+  slides-factory preview quarterly-review --watch
+  slides-factory render quarterly-review --fps 60 --width 1920 --height 1080
+  slides-factory export quarterly-review --format png
+  slides-factory build --all
+  slides-factory render --all --jobs 2
+  slides-factory theme new brand --from corporate --for quarterly-review
+
+Workflow:
+  1. slides-factory new my-talk        Create presentation
+  2. Edit presentations/my-talk/outline.txt
+  3. slides-factory all my-talk        Parse and build
+  4. slides-factory preview my-talk    Check in browser
+  5. Edit presentations/my-talk/slides.yaml (optional fine-tuning)
+  6. slides-factory build my-talk      Rebuild after YAML edits
+  7. slides-factory render my-talk     Export video`);
+
+program
+  .command('new')
+  .description('Create a new presentation')
+  .argument('<name>', 'Presentation name')
+  .action(async (name) => {
+    const files = presentationFiles(name);
+
+    if (fs.existsSync(files.dir)) {
+      console.log(yellow(`Warning: Presentation '${name}' already exists`));
+      const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+      const answer = await prompt.question('Overwrite outline.txt? (y/N) ');
+      prompt.close();
+      if (!/^y/i.test(answer)) return;
+    }
+
+    fs.mkdirSync(files.dir, { recursive: true });
+    fs.writeFileSync(files.outline, outlineTemplate);
+    fs.writeFileSync(files.config, configTemplate);
+
+    console.log(green(`Created presentation: ${name}`));
+    console.log('');
+    console.log('Next steps:');
+    console.log(`  1. Edit ${blue(`presentations/${name}/outline.txt`)}`);
+    console.log(`  2. Run ${blue(`slides-factory all ${name}`)}`);
+    console.log(`  3. Run ${blue(`slides-factory preview ${name}`)}`);
+  });
+
+program
+  .command('parse')
+  .description('Parse outline.txt to slides.yaml (merges hand edits)')
+  .argument('<name>', 'Presentation name')
+  .argument('[source]', 'Import this file instead (Markdown, reveal.js HTML, PowerPoint text, Google Slides JSON)')
+  .option('--overwrite', 'Replace slides.yaml instead of merging into it')
+  .option('-f, --from <format>', `Source format (${importFormats().join(', ')}); default: by file extension`)
+  .option('--split <mode>', 'Markdown slide split: auto, rule (---), h1, h2 or h3')
+  .action(async (name, source, opts, command) => {
+    await parse(name, forwardedOptions(command), source);
+  });
+
+program
+  .command('yaml2outline')
+  .description('Regenerate outline.txt from slides.yaml')
+  .argument('<name>', 'Presentation name')
+  .action(async (name) => {
+    const files = presentationFiles(name);
+    requireFile(files.content);
+
+    console.log(`${blue('Writing outline')} for ${name}...`);
+    await runScript('yaml2outline', [files.content, '-o', files.outline]);
+    console.log(`${green('Done!')} Output: presentations/${name}/outline.txt`);
+  });
+
+program
+  .command('build')
+  .description('Build HTML slides from YAML')
+  .argument('[name]', 'Presentation name')
+  .option('-t, --theme <name>', 'Theme override (minimal, dark, corporate, or custom)')
+  .option('--standalone', 'Build a single offline HTML file (no CDN)')
+  .option('--check', 'Report whether slides.html is stale instead of building')
+  .option('--all', 'Build every presentation')
+  .option('-j, --jobs <number>', `Presentations to build at once with --all (default: ${cpus})`)
+  .option('--force', 'With --all, rebuild presentations that are up to date')
+  .action(async (name, opts, command) => {
+    if (opts.all) {
+      await runAll(buildTask, opts, command);
+      return;
+    }
+    await build(requireName(name), forwardedOptions(command, batchOptions));
+  });
+
+program
+  .command('preview')
+  .description('Preview slides in browser')
+  .argument('<name>', 'Presentation name')
+  .option('-p, --port <number>', 'Server port (default: 3000)')
+  .option('-w, --watch', 'Rebuild and live-reload on changes')
+  .option('-t, --theme <name>', 'Theme override for watch rebuilds')
+  .option('--no-open', 'Do not open browser automatically')
+  .action(async (name, opts, command) => {
+    const files = presentationFiles(name);
+    if (!opts.watch) {
+      requireFile(files.html, `slides-factory build ${name}`);
+    }
+
+    console.log(blue(opts.watch ? 'Starting preview server in watch mode...' : 'Starting preview server...'));
+    await runScript('preview', ['-f', files.html, ...forwardedOptions(command)]);
+  });
+
+program
+  .command('render')
+  .description('Export to 4K video')
+  .argument('[name]', 'Presentation name')
+  .option('--fps <number>', 'Frames per second (default: config video.fps)')
+  .option('--width <number>', 'Video width (default: config video.width)')
+  .option('--height <number>', 'Video height (default: config video.height)')
+  .option('--no-subtitles', 'Do not write .srt/.vtt subtitle files')
+  .option('--burn-subtitles', 'Burn subtitles into the video frames')
+  .option('--check', 'Report whether slides.mp4 is stale instead of rendering')
+  .option('--all', 'Render every presentation')
+  .option('-j, --jobs <number>', `Presentations to render at once with --all (default: ${Math.max(1, Math.floor(cpus / 2))})`)
+  .option('--force', 'With --all, re-render presentations that are up to date')
+  .action(async (name, opts, command) => {
+    if (opts.all) {
+      await runAll(renderTask, opts, command);
+      return;
+    }
+
+    name = requireName(name);
+    const files = presentationFiles(name);
+    const args = [...renderTask.args(files), ...forwardedOptions(command, batchOptions)];
+    if (opts.check) {
+      await runScript('render', args);
+      return;
+    }
+    requireFile(files.html, `slides-factory build ${name}`);
+
+    console.log(`${blue('Rendering video')} for ${name}...`);
+    await runScript('render', args);
+    console.log(`${green('Done!')} Output: presentations/${name}/slides.mp4`);
+  });
+
+program
+  .command('export')
+  .description('Export PDF handout or PNG images')
+  .argument('<name>', 'Presentation name')
+  .option('-f, --format <format>', 'Export format (pdf, png)', 'pdf')
+  .option('-o, --output <path>', 'Output PDF file or PNG folder (default: next to slides.html)')
+  .option('--page-size <size>', 'PDF page size (slide, a4, letter)')
+  .option('--notes', 'Print speaker notes under each slide (PDF)')
+  .option('--width <number>', 'PNG width (default: 1920)')
+  .option('--height <number>', 'PNG height (default: 1080)')
+  .action(async (name, opts, command) => {
+    const files = presentationFiles(name);
+    requireFile(files.html, `slides-factory build ${name}`);
+
+    console.log(`${blue(`Exporting ${opts.format}`)} for ${name}...`);
+    await runScript('export', ['-i', files.html, ...forwardedOptions(command)]);
+    console.log(green('Done!'));
+  });
+
+program
+  .command('lint')
+  .description('Check slides.yaml against style presets')
+  .argument('<name>', 'Presentation name')
+  .option('-p, --preset <name>', 'Preset to check against')
+  .option('--preferences <path>', 'Preferences file (default: preferences.yaml)')
+  .option('--json', 'Print violations as JSON')
+  .option('--strict', 'Exit non-zero on warnings too')
+  .action(async (name, opts, command) => {
+    const files = presentationFiles(name);
+    requireFile(files.content, `slides-factory parse ${name}`);
+    await runScript('lint', [files.content, ...forwardedOptions(command)]);
+  });
+
+program
+  .command('validate')
+  .description('Check slides.yaml against the schema')
+  .argument('<name>', 'Presentation name')
+  .option('--json', 'Print errors as JSON')
+  .action(async (name, opts, command) => {
+    const files = presentationFiles(name);
+    requireFile(files.content, `slides-factory parse ${name}`);
+    await runScript('validate', [files.content, ...forwardedOptions(command)]);
+  });
+
+program
+  .command('all')
+  .description('Run parse + build (full rebuild)')
+  .argument('<name>', 'Presentation name')
+  .option('-t, --theme <name>', 'Theme override')
+  .option('--standalone', 'Build a single offline HTML file (no CDN)')
+  .option('--overwrite', 'Replace slides.yaml instead of merging into it')
+  .action(async (name, opts, command) => {
+    await parse(name, forwardedOptions(command).filter(arg => arg === '--overwrite'));
+    await build(name, forwardedOptions(command, ['overwrite']));
+
+    console.log('');
+    console.log(green('Build complete!'));
+    console.log(`Preview with: slides-factory preview ${name}`);
+  });
+
+program
+  .command('list')
+  .alias('ls')
+  .description('List all presentations')
+  .action(() => {
+    console.log(blue('Presentations:'));
+    console.log('');
+
+    const names = listPresentations();
+    if (names.length === 0) {
+      console.log('  (none yet)');
+      console.log('');
+      console.log('Create one with: slides-factory new <name>');
+      return;
+    }
+
+    for (const name of names) {
+      const files = presentationFiles(name);
+      const state = presentationStatus(name);
+      let status = '[outline only]';
+      if (fs.existsSync(files.video)) {
+        status = green('[video]') + staleMark(state.video);
+      } else if (fs.existsSync(files.html)) {
+        status = blue('[html]') + staleMark(state.html);
+      } else if (fs.existsSync(files.content)) {
+        status = yellow('[yaml]');
+      }
+      console.log(`  ${name} ${status}`);
+    }
+  });
+
+program
+  .command('status')
+  .description('Show presentation status')
+  .argument('<name>', 'Presentation name')
+  .action((name) => {
+    const files = presentationFiles(name);
+    if (!fs.existsSync(files.dir)) {
+      fail(`Presentation '${name}' not found`);
+    }
+
+    console.log(`${blue('Presentation:')} ${name}`);
+    console.log('');
+
+    for (const file of ['outline.txt', 'slides.yaml', 'slides.html', 'slides.mp4', 'config.yaml']) {
+      const filePath = path.join(files.dir, file);
+      if (!fs.existsSync(filePath)) {
+        console.log(`  ${red('✗')} ${file}`);
+        continue;
+      }
+      const stats = fs.statSync(filePath);
+      const modified = stats.mtime.toISOString().slice(0, 19).replace('T', ' ');
+      console.log(`  ${green('✓')} ${file} (${formatSize(stats.size)}, ${modified})`);
+    }
+
+    console.log('');
+    const state = presentationStatus(name);
+    for (const task of [buildTask, renderTask]) {
+      if (!task.ready(files)) continue;
+      const { status, reasons } = state[task.kind];
+      const fix = `(slides-factory ${task.command} ${name})`;
+      if (status === 'up to date') {
+        console.log(`  ${task.output}: up to date`);
+      } else if (status === 'missing') {
+        console.log(`  ${task.output}: ${yellow(`not ${task.done} yet ${fix}`)}`);
+      } else if (status === 'unrecorded') {
+        console.log(`  ${task.output}: ${yellow(`unknown, no manifest ${fix}`)}`);
+      } else {
+        console.log(`  ${task.output}: ${yellow(`stale ${fix}`)}`);
+        reasons.forEach(reason => console.log(`    ${reason}`));
+      }
+    }
+  });
+
+const theme = program
+  .command('theme')
+  .description('Manage themes');
+
+theme
+  .command('new')
+  .description('Scaffold a theme from an existing one')
+  .argument('<name>', 'Theme name')
+  .option('--from <theme>', 'Theme to start from', 'minimal')
+  .option('--for <name>', 'Create it in presentations/<name>/themes')
+  .action(async (name, opts) => {
+    let dir = path.join(projectRoot, 'themes');
+    if (opts.for) {
+      const files = presentationFiles(opts.for);
+      if (!fs.existsSync(files.dir)) {
+        fail(`Presentation '${opts.for}' not found`);
+      }
+      dir = path.join(files.dir, 'themes');
+    }
+    await runScript('theme', ['new', name, '--from', opts.from, '-d', dir]);
+  });
+
+async function parse(name, args, source) {
+  const files = presentationFiles(name);
+  const input = source ? path.resolve(source) : files.outline;
+  requireFile(input, source ? null : `slides-factory new ${name}`);
+
+  console.log(`${blue(source ? 'Importing' : 'Parsing')} ${source || name}...`);
+  await runScript('parse', [input, '-o', files.content, ...args]);
+  // An imported deck gets an outline.txt to edit from then on
+  if (source && !fs.existsSync(files.outline)) {
+    await runScript('yaml2outline', [files.content, '-o', files.outline]);
+  }
+  console.log(`${green('Done!')} Output: presentations/${name}/slides.yaml`);
+}
+
+async function build(name, args) {
+  const files = presentationFiles(name);
+  requireFile(files.content, `slides-factory parse ${name}`);
+
+  if (args.includes('--check')) {
+    await runScript('build', [...buildTask.args(files), ...args]);
+    return;
+  }
+
+  console.log(`${blue('Building')} ${name}...`);
+  await runScript('build', [...buildTask.args(files), ...args]);
+  console.log(`${green('Done!')} Output: presentations/${name}/slides.html`);
+}
+
+// " (stale)" after a list entry whose output doesn't match its manifest
+function staleMark({ status }) {
+  if (status === 'stale') return yellow(' (stale)');
+  if (status === 'unrecorded') return yellow(' (no manifest)');
+  return '';
+}
+
+// Batch tasks for --all: what each presentation needs first, which output
+// it makes, and the arguments for the bin/ script
+const buildTask = {
+  command: 'build',
+  script: 'build',
+  kind: 'html',
+  output: 'slides.html',
+  done: 'built',
+  jobs: cpus,
+  ready: files => fs.existsSync(files.content),
+  missing: 'no slides.yaml',
+  args: files => ['-c', files.content, '-o', files.html]
+};
+
+const renderTask = {
+  command: 'render',
+  script: 'render',
+  kind: 'video',
+  output: 'slides.mp4',
+  done: 'rendered',
+  jobs: Math.max(1, Math.floor(cpus / 2)),
+  ready: files => fs.existsSync(files.html),
+  missing: 'not built',
+  args: files => ['-i', files.html, '-o', files.video, '-c', files.content]
+};
+
+// Run a task over every presentation, a few at a time, and print a summary.
+// Each script's output is kept and shown only when it fails. With --check,
+// only report which outputs are stale.
+async function runAll(task, opts, command) {
+  const names = listPresentations();
+  if (names.length === 0) {
+    console.log(`No presentations in ${path.relative(process.cwd(), presentationsDir) || '.'}`);
+    console.log('Create one with: slides-factory new <name>');
+    return;
+  }
+
+  // Options such as a theme or resolution change the output, so they
+  // redo everything rather than trusting the manifests
+  const args = forwardedOptions(command, [...batchOptions, 'check']);
+  const force = opts.force || args.length > 0;
+  const jobs = Math.max(1, parseInt(opts.jobs) || task.jobs);
+
+  if (opts.check) {
+    const results = names.map(name => {
+      if (!task.ready(presentationFiles(name))) {
+        return { name, status: 'skipped', detail: task.missing };
+      }
+      const { status, reasons } = presentationStatus(name)[task.kind];
+      const detail = status === 'missing' ? `not ${task.done} yet` : reasons[0];
+      return { name, status, detail: reasons.length > 1 ? `${detail} (+${reasons.length - 1} more)` : detail };
+    });
+    printSummary(results);
+    if (results.some(result => !['up to date', 'skipped'].includes(result.status))) {
+      process.exit(1);
+    }
+    return;
+  }
+
+  console.log(`${blue(`Running ${task.command}`)} for ${names.length} presentation(s), ${jobs} at a time...`);
+
+  const results = await inParallel(names, jobs, async (name) => {
+    const files = presentationFiles(name);
+    if (!task.ready(files)) {
+      return { name, status: 'skipped', detail: task.missing };
+    }
+    if (!force && presentationStatus(name)[task.kind].status === 'up to date') {
+      return { name, status: 'up to date' };
+    }
+
+    const started = Date.now();
+    const { code, output } = await spawnScript(task.script, [...task.args(files), ...args], { quiet: true });
+    const seconds = (Date.now() - started) / 1000;
+    const result = code === 0
+      ? { name, status: task.done, seconds }
+      : { name, status: 'failed', seconds, output };
+    console.log(`  ${code === 0 ? green('✓') : red('✗')} ${name} (${seconds.toFixed(1)}s)`);
+    return result;
+  });
+
+  for (const result of results.filter(result => result.status === 'failed')) {
+    console.log('');
+    console.log(red(`${result.name}:`));
+    console.log(result.output.trimEnd());
+  }
+
+  printSummary(results);
+
+  if (results.some(result => result.status === 'failed')) {
+    process.exit(1);
+  }
+}
+
+function printSummary(results) {
+  const nameWidth = Math.max(12, ...results.map(result => result.name.length));
+  const statusWidth = Math.max(6, ...results.map(result => result.status.length));
+  const colors = { failed: red, stale: red, missing: yellow, unrecorded: yellow, skipped: yellow, 'up to date': blue };
+
+  console.log('');
+  console.log(`  ${'Presentation'.padEnd(nameWidth)}  ${'Result'.padEnd(statusWidth)}     Time  Notes`);
+  console.log(`  ${'-'.repeat(nameWidth)}  ${'-'.repeat(statusWidth)}  -------  -----`);
+  for (const result of results) {
+    const status = (colors[result.status] || green)(result.status.padEnd(statusWidth));
+    const time = result.seconds !== undefined ? `${result.seconds.toFixed(1)}s` : '';
+    console.log(`  ${result.name.padEnd(nameWidth)}  ${status}  ${time.padStart(7)}  ${result.detail || ''}`.trimEnd());
+  }
+
+  const counts = {};
+  for (const result of results) {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+  }
+  console.log('');
+  console.log(Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', '));
+}
+
+// Run fn over items with at most `jobs` calls in flight, keeping the order
+async function inParallel(items, jobs, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(jobs, items.length) }, worker));
+  return results;
+}
+
+// Options given on the command line, as arguments for the bin/ script
+function forwardedOptions(command, exclude = []) {
+  const args = [];
+  for (const option of command.options) {
+    const key = option.attributeName();
+    if (exclude.includes(key) || command.getOptionValueSource(key) !== 'cli') continue;
+
+    const value = command.getOptionValue(key);
+    if (option.negate || value === true) {
+      args.push(option.long);
+    } else {
+      args.push(option.long, String(value));
+    }
+  }
+  return args;
+}
+
+// Run a bin/ script in the foreground and stop if it fails
+async function runScript(script, args) {
+  const { code } = await spawnScript(script, args);
+  if (code !== 0) {
+    process.exit(code);
+  }
+}
+
+// Run a bin/ script from the project root. Quiet runs collect the output
+// instead of printing it.
+function spawnScript(script, args, { quiet = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(projectRoot, 'bin', `${script}.js`), ...args], {
+      cwd: projectRoot,
+      stdio: quiet ? ['ignore', 'pipe', 'pipe'] : 'inherit'
+    });
+
+    let output = '';
+    if (quiet) {
+      child.stdout.on('data', chunk => { output += chunk; });
+      child.stderr.on('data', chunk => { output += chunk; });
+    }
+    child.on('error', reject);
+    child.on('close', (code, signal) => resolve({ code: signal ? 1 : code, output }));
+  });
+}
+
+function requireName(name) {
+  if (!name) {
+    fail('Presentation name required (or --all)');
+  }
+  return name;
+}
+
+function requireFile(file, fix) {
+  if (!fs.existsSync(file)) {
+    console.error(red(`Error: ${path.relative(process.cwd(), file)} not found`));
+    if (fix) {
+      console.error(`Run first: ${fix}`);
+    }
+    process.exit(1);
+  }
+}
+
+function fail(message) {
+  console.error(red(`Error: ${message}`));
+  process.exit(1);
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+const outlineTemplate = `# Presentation Title
+## Your Name
+
+---
+
+# Introduction
+
+- First key point
+- Second key point
+- Third key point
+
+---
+
+# Main Content
+
+Explain your main ideas here.
+
+- Supporting point
+  - Detail one
+  - Detail two
+
+---
+
+# Conclusion
+
+- Summary point one
+- Summary point two
+
+---
+
+# Thank You!
+
+Questions?
+`;
+
+const configTemplate = `# Presentation-specific config (overrides global config.yaml)
+# Uncomment to customize:
+# theme: minimal
+# transition: fade
+# timing:
+#   default: 5
+`;
+
+// Errors from lib/ (a malformed config.yaml...) end the command
+try {
+  await program.parseAsync();
+} catch (err) {
+  fail(err.message);
+}
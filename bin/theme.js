@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { program } from 'commander';
+import { projectRoot } from '../lib/config.js';
+import { loadTheme, themeVariables } from '../lib/themes.js';
+
+program
+  .name('theme')
+  .description('Manage slide themes');
+
+program
+  .command('new')
+  .description('Scaffold a theme that extends an existing one')
+  .argument('<name>', 'New theme name')
+  .option('--from <theme>', 'Theme to start from', 'minimal')
+  .option('-d, --dir <path>', 'Directory to write the theme to (e.g. presentations/<name>/themes)', path.join(projectRoot, 'themes'))
+  .action((name, opts) => {
+    if (!/^[\w-]+$/.test(name) || name === 'base') {
+      console.error(`Error: Invalid theme name "${name}" (use letters, digits, - and _; "base" is reserved)`);
+      process.exit(1);
+    }
+
+    const dir = path.resolve(opts.dir);
+    const file = path.join(dir, `${name}.css`);
+    if (fs.existsSync(file)) {
+      console.error(`Error: ${path.relative(process.cwd(), file)} already exists`);
+      process.exit(1);
+    }
+
+    // A theme written to presentations/<name>/themes/ can start from that
+    // presentation's own themes too
+    let css;
+    try {
+      css = loadTheme(opts.from, { presentationDir: path.dirname(dir) });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, scaffold(name, opts.from, themeVariables(css, { resolve: false })));
+    console.log(`Created ${path.relative(process.cwd(), file)} (extends ${opts.from})`);
+    console.log(`Use it with "theme: ${name}" in config.yaml or slides.yaml, or -t ${name}`);
+  });
+
+program.parse();
+
+// Every variable with its current value, so the new theme is a complete
+// list of what can be changed. Values stay as declared: a color defined as
+// var(--color-muted) keeps following --color-muted.
+function scaffold(name, from, variables) {
+  const title = name.split(/[-_]/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  const declarations = Object.entries(variables)
+    .map(([variable, value]) => `  --${variable}: ${value};`)
+    .join('\n');
+
+  return `/* ${title} Theme
+   extends: ${from} */
+
+.reveal {
+${declarations}
+}
+
+/* Theme-specific rules go below, e.g.
+.reveal h2 {
+  text-transform: uppercase;
+}
+*/
+`;
+}
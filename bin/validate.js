@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import { program } from 'commander';
+import { validateDeck, formatError } from '../lib/validate.js';
+
+program
+  .name('validate')
+  .description('Check slides.yaml files against the slides.yaml schema')
+  .argument('[content...]', 'Content YAML files', ['content/slides.yaml'])
+  .option('--json', 'Print errors as JSON')
+  .parse();
+
+const files = program.args.length > 0 ? program.args : ['content/slides.yaml'];
+const opts = program.opts();
+
+const errors = [];
+for (const file of files) {
+  let source;
+  try {
+    source = fs.readFileSync(file, 'utf-8');
+  } catch (err) {
+    console.error(`Error reading content file: ${file}`);
+    process.exit(1);
+  }
+  errors.push(...validateDeck(source, { file }));
+}
+
+if (opts.json) {
+  console.log(JSON.stringify({ files, errors }, null, 2));
+} else {
+  for (const error of errors) {
+    console.log(formatError(error));
+  }
+  if (errors.length === 0) {
+    console.log(`${files.join(', ')}: valid`);
+  } else {
+    console.log(`\n${errors.length} error(s)`);
+  }
+}
+
+if (errors.length > 0) {
+  process.exit(1);
+}
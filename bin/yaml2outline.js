@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { program } from 'commander';
+import { rebaseImages, toOutline } from '../lib/outline.js';
+
+program
+  .name('yaml2outline')
+  .description('Write a slides.yaml back out as a plain text outline')
+  .argument('[content]', 'Content YAML file', 'content/slides.yaml')
+  .option('-o, --output <path>', 'Output outline file', 'input/outline.txt')
+  .parse();
+
+const contentPath = program.args[0] || 'content/slides.yaml';
+const outputPath = program.opts().output;
+
+// Load content
+let content;
+try {
+  content = yaml.load(fs.readFileSync(contentPath, 'utf-8'));
+} catch (err) {
+  console.error(`Error reading content file: ${contentPath}`);
+  console.error(err.message);
+  process.exit(1);
+}
+
+const outline = toOutline(rebaseImages(content || {}, path.dirname(contentPath), path.dirname(outputPath)));
+
+fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+fs.writeFileSync(outputPath, outline);
+console.log(`Wrote ${content?.slides?.length || 0} slides to ${outputPath}`);
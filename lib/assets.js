@@ -0,0 +1,170 @@
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { mimeTypes } from './inline.js';
+
+// Local images a deck shows (image content, backgrounds, the logo) are
+// resolved and checked at build time, then copied next to the HTML under a
+// content-hashed name, or inlined in standalone builds. Images larger than
+// images.max_width x max_height (the video frame by default) are scaled down
+// and re-encoded first: no slide ever shows them bigger than that.
+
+// Formats sharp can scale. SVGs scale by themselves and GIFs may be
+// animated, so those (and background videos) are copied as they are.
+const scalableFormats = ['.png', '.jpg', '.jpeg', '.webp', '.avif', '.tif', '.tiff'];
+const outputFormats = ['webp', 'avif', 'jpeg', 'png', 'original'];
+
+// The folder outputPath's assets are copied to: slides.html -> slides-assets/
+export function assetsDir(outputPath) {
+  const resolved = path.resolve(outputPath);
+  return path.join(path.dirname(resolved), `${path.basename(resolved, path.extname(resolved))}-assets`);
+}
+
+// Resolve and copy the files behind `refs`, a list of { src, where, what,
+// dirs? }: `where` and `what` name the reference in errors ("Slide "Intro"",
+// "background image"), and `dirs` are the folders src may be relative to, in
+// order (default: `dirs`). Returns a Map from ref to the src to write in the
+// HTML. Throws one error listing every file that can't be found. Files found
+// are added to `inputs`; copies no longer used are removed from the assets
+// folder.
+export async function prepareAssets(refs, { dirs, outputPath, standalone = false, settings = {}, inputs = new Set() }) {
+  const files = new Map();
+  const missing = [];
+  for (const ref of refs) {
+    const file = (ref.dirs || dirs)
+      .map(dir => path.resolve(dir, ref.src))
+      .find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+    if (file) {
+      files.set(ref, file);
+      inputs.add(file);
+    } else {
+      missing.push(`${ref.where}: ${ref.what} not found: ${ref.src}`);
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(missing.join('\n'));
+  }
+
+  const outputDir = assetsDir(outputPath);
+  const limits = imageLimits(settings);
+  const prepared = new Map();
+  const srcs = new Map();
+  for (const [ref, file] of files) {
+    if (!prepared.has(file)) {
+      prepared.set(file, await prepareFile(file, { outputDir, standalone, limits }));
+    }
+    srcs.set(ref, prepared.get(file).src);
+  }
+
+  pruneAssets(outputDir, new Set([...prepared.values()].map(asset => asset.name).filter(Boolean)));
+  return srcs;
+}
+
+// images: from config, with the size limits defaulting to the video frame.
+// Null when optimization is off.
+function imageLimits(settings) {
+  if (settings.optimize === false) return null;
+
+  let format = settings.format ?? 'webp';
+  if (!outputFormats.includes(format)) {
+    console.warn(`Warning: Unknown images.format "${format}" (use ${outputFormats.join(', ')}), using webp`);
+    format = 'webp';
+  }
+  return {
+    width: settings.max_width,
+    height: settings.max_height,
+    format,
+    quality: settings.quality ?? 85
+  };
+}
+
+// Copy one file into the assets folder (or inline it), scaled down when it
+// is too big. Returns { src, name }, name being the copy's file name.
+async function prepareFile(file, { outputDir, standalone, limits }) {
+  const source = fs.readFileSync(file);
+  const stem = path.basename(file, path.extname(file));
+  let ext = path.extname(file).toLowerCase();
+  let hash = createHash('sha256').update(source);
+
+  const size = limits && scalableFormats.includes(ext) ? await imageSize(source, file) : null;
+  const oversized = size && ((limits.width && size.width > limits.width) || (limits.height && size.height > limits.height));
+  if (oversized) {
+    // The copy's name changes with the settings it was scaled with
+    hash = hash.update(JSON.stringify(limits));
+    ext = limits.format === 'original' ? ext : `.${limits.format === 'jpeg' ? 'jpg' : limits.format}`;
+  }
+  const name = `${stem}-${hash.digest('hex').slice(0, 10)}${ext}`;
+  const target = path.join(outputDir, name);
+
+  // Copies are named by content, so one that exists is up to date
+  if (!standalone && fs.existsSync(target)) {
+    return { src: assetSrc(outputDir, name), name };
+  }
+
+  const data = oversized ? await scaleDown(source, limits) : source;
+  if (standalone) {
+    return { src: `data:${mimeTypes[ext] || 'application/octet-stream'};base64,${data.toString('base64')}`, name: null };
+  }
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(target, data);
+  return { src: assetSrc(outputDir, name), name };
+}
+
+// The copy's path relative to the HTML next to the assets folder
+function assetSrc(outputDir, name) {
+  return `${path.basename(outputDir)}/${encodeURIComponent(name)}`;
+}
+
+// Width and height as shown, after EXIF rotation. Null for files sharp
+// can't read, or without sharp.
+async function imageSize(source, file) {
+  const sharp = await loadSharp();
+  if (!sharp) return null;
+  try {
+    const metadata = await sharp(source).metadata();
+    return metadata.autoOrient || metadata;
+  } catch (err) {
+    console.warn(`Warning: Could not read image ${path.relative(process.cwd(), file)} (${err.message}), copying it as-is`);
+    return null;
+  }
+}
+
+async function scaleDown(source, limits) {
+  const sharp = await loadSharp();
+  let image = sharp(source)
+    .rotate()
+    .resize({ width: limits.width, height: limits.height, fit: 'inside', withoutEnlargement: true });
+  if (limits.format !== 'original') {
+    // PNG's quality setting would quantize it to a palette
+    image = image.toFormat(limits.format, limits.format === 'png' ? {} : { quality: limits.quality });
+  }
+  return image.toBuffer();
+}
+
+// sharp is a native module; decks still build without it, unscaled
+let sharpModule;
+
+async function loadSharp() {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = (await import('sharp')).default;
+    } catch (err) {
+      console.warn(`Warning: Could not load sharp (${err.message.split('\n')[0]}), images are copied without scaling`);
+      sharpModule = null;
+    }
+  }
+  return sharpModule;
+}
+
+// Remove copies the HTML no longer uses, and the folder once it's empty
+function pruneAssets(outputDir, keep) {
+  if (!fs.existsSync(outputDir)) return;
+  for (const name of fs.readdirSync(outputDir)) {
+    if (!keep.has(name)) {
+      fs.rmSync(path.join(outputDir, name), { recursive: true, force: true });
+    }
+  }
+  if (fs.readdirSync(outputDir).length === 0) {
+    fs.rmdirSync(outputDir);
+  }
+}
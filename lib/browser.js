@@ -0,0 +1,40 @@
+import puppeteer from 'puppeteer';
+import { pathToFileURL } from 'url';
+
+// Launch headless Chrome with a window of the given size
+export function launchBrowser({ width = 1920, height = 1080 } = {}) {
+  return puppeteer.launch({
+    headless: true,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      `--window-size=${width},${height}`
+    ]
+  });
+}
+
+// Launch headless Chrome and open a built deck at the given viewport size.
+// `query` is appended to the file URL; reveal.js reads config overrides
+// (print-pdf, showNotes, transition...) from it.
+export async function openDeck(inputPath, { width, height, query = '' }) {
+  const browser = await launchBrowser({ width, height });
+
+  try {
+    const page = await browser.newPage();
+    await page.setViewport({ width, height, deviceScaleFactor: 1 });
+
+    // Load the presentation
+    const fileUrl = pathToFileURL(inputPath).href + (query ? `?${query}` : '');
+    await page.goto(fileUrl, { waitUntil: 'networkidle0' });
+
+    // Wait for reveal.js to initialize
+    await page.waitForFunction(() => {
+      return typeof Reveal !== 'undefined' && Reveal.isReady();
+    }, { timeout: 10000 });
+
+    return { browser, page };
+  } catch (err) {
+    await browser.close();
+    throw err;
+  }
+}
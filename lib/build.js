@@ -0,0 +1,814 @@
+import fs from 'fs';
+import path from 'path';
+import Handlebars from 'handlebars';
+import { Marked } from 'marked';
+import hljs from 'highlight.js';
+import { revealDir, revealCdnVersion, inlineCssFile, inlineScriptFile, isRemote } from './inline.js';
+import { prepareAssets } from './assets.js';
+import { loadConfig, projectRoot } from './config.js';
+import { diagramPalette, renderDiagrams } from './diagrams.js';
+import { loadTheme, resolveTheme } from './themes.js';
+import { validateDeck, ValidationError } from './validate.js';
+
+// Render parsed slides.yaml content to reveal.js HTML. Image and audio paths
+// in the content are relative to contentPath; paths written into the HTML
+// are relative to outputPath (both default to files in the working
+// directory). Images are copied to a <name>-assets/ folder next to
+// outputPath (see assets.js), or inlined in standalone builds. Themes are
+// looked up next to the content first (presentations/<name>/themes/).
+// Without a config, the one for the content's folder is used. Local files
+// the HTML is made from (theme CSS, images, audio, the logo) are added to the
+// `inputs` set when one is given. Throws a ValidationError when the content
+// doesn't match the schema; throws when the theme or an image can't be
+// found, when a standalone build can't find reveal.js, or on a diagram or
+// math syntax error.
+export async function buildHtml(content, config, { contentPath = 'slides.yaml', outputPath = 'slides.html', standalone = false, inputs = new Set() } = {}) {
+  const contentDir = path.dirname(path.resolve(contentPath));
+  const outputDir = path.dirname(path.resolve(outputPath));
+
+  const errors = validateDeck(content, { file: contentPath });
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  content = textAsStrings(content);
+  config = config || loadConfig(contentDir, { content });
+
+  // Standalone builds embed reveal.js from node_modules instead of the CDN
+  const revealAssets = standalone ? loadRevealAssets() : null;
+  const themeCSS = loadTheme(config.theme, { presentationDir: contentDir, inline: Boolean(revealAssets) });
+  for (const file of resolveTheme(config.theme, { presentationDir: contentDir })) {
+    inputs.add(file);
+  }
+  const diagrams = await renderDiagrams(content.slides, diagramPalette(themeCSS));
+
+  // Images are relative to the content, or for decks written before that, to
+  // the output. The logo can be shared by every deck, so it is looked up in
+  // the project root instead.
+  const imageRefs = collectImages(content, { standalone: Boolean(revealAssets) });
+  const logo = config.branding?.logo;
+  const logoRef = isLocal(logo) && { src: logo, where: 'branding', what: 'logo', dirs: [contentDir, projectRoot] };
+  const assetSrcs = await prepareAssets(logoRef ? [...imageRefs, logoRef] : imageRefs, {
+    dirs: [contentDir, outputDir],
+    outputPath,
+    standalone: Boolean(revealAssets),
+    settings: { max_width: config.video?.width, max_height: config.video?.height, ...config.images },
+    inputs
+  });
+  const imageSrcs = new Map(imageRefs.map(ref => [ref.src, assetSrcs.get(ref)]));
+
+  // Image src as written in the HTML
+  function imageSrc(src) {
+    return imageSrcs.get(src) ?? src;
+  }
+
+  // Audio files stay external (they only matter to render). Paths in the YAML
+  // are relative to the YAML; rewrite them relative to the output HTML.
+  function mediaPath(src) {
+    if (!src || isRemote(src)) return src;
+
+    const resolved = path.resolve(contentDir, src);
+    if (fs.existsSync(resolved)) {
+      inputs.add(resolved);
+    } else {
+      console.warn(`Warning: Audio file not found: ${src}`);
+    }
+    return path.relative(outputDir, resolved).split(path.sep).join('/');
+  }
+
+  function logoSrc(src) {
+    return logoRef ? assetSrcs.get(logoRef) : src;
+  }
+
+  const assets = {
+    imageSrc,
+    diagramSvg: item => diagrams.get(item)
+  };
+
+  // Helpers are registered on a private instance so that several builds in
+  // one process (preview --watch) don't share state
+  const hbs = Handlebars.create();
+
+  // `build` is the slide-level fragment setting (true or a style name)
+  hbs.registerHelper('renderContent', function(contentItem, build) {
+    return new Handlebars.SafeString(renderContent(contentItem, build, assets));
+  });
+
+  hbs.registerHelper('renderSlide', function(slide) {
+    return new Handlebars.SafeString(renderSlide(slide, assets));
+  });
+
+  hbs.registerHelper('layoutAttrs', function(slide) {
+    return new Handlebars.SafeString(layoutAttrs(slide, imageSrc));
+  });
+
+  hbs.registerHelper('backgroundAttrs', function(background) {
+    return new Handlebars.SafeString(backgroundAttrs(background, imageSrc));
+  });
+
+  hbs.registerHelper('renderNotes', function(notes) {
+    return new Handlebars.SafeString(renderNotes(notes));
+  });
+
+  hbs.registerHelper('mediaPath', function(src) {
+    return mediaPath(src);
+  });
+
+  const compiledTemplate = hbs.compile(getTemplate());
+
+  return compiledTemplate({
+    title: content.title || 'Presentation',
+    subtitle: content.subtitle || '',
+    titleNotes: content.title_notes || '',
+    // Narrated slides without explicit timing take their length from the audio at render time
+    titleTiming: content.title_timing || (content.title_audio ? '' : config.timing.title || config.timing.default),
+    titleAudio: content.title_audio || '',
+    titleCaption: content.title_caption || '',
+    titleBackground: content.title_background,
+    music: normalizeMusic(content.music),
+    slides: content.slides || [],
+    theme: config.theme,
+    themeCSS: themeCSS,
+    formattingClasses: formattingClasses(config.formatting),
+    branding: normalizeBranding(config.branding, { title: content.title || '', logoSrc }),
+    transition: config.transition,
+    standalone: Boolean(revealAssets),
+    reveal: revealAssets,
+    revealCdnVersion,
+    transitionSpeed: revealTransitionSpeed(config.timing.transition),
+    defaultTiming: config.timing.default
+  });
+}
+
+const keywordStyles = ['bold-accent', 'underline', 'highlight-bg'];
+const metricStyles = ['large-number', 'badge', 'highlight-bg'];
+
+// Classes on the .reveal element that pick how **keywords** and `metrics`
+// look (formatting.keyword_style / metric_style)
+function formattingClasses(formatting = {}) {
+  const pick = (value, styles, key) => {
+    if (styles.includes(value)) return value;
+    console.warn(`Warning: Unknown formatting.${key} "${value}" (use ${styles.join(', ')}), using ${styles[0]}`);
+    return styles[0];
+  };
+
+  const keyword = pick(formatting.keyword_style ?? keywordStyles[0], keywordStyles, 'keyword_style');
+  const metric = pick(formatting.metric_style ?? metricStyles[0], metricStyles, 'metric_style');
+  return `keyword-${keyword} metric-${metric}`;
+}
+
+const logoPositions = ['top-right', 'top-left', 'bottom-right', 'bottom-left'];
+const slideNumberFormats = ['c/t', 'c', 'h/v', 'h.v'];
+
+// `branding:` from config: a logo in a corner, a footer line and slide
+// numbers, drawn over every slide. The footer is a template with {{title}},
+// {{date}}, {{slide}} and {{total}}.
+function normalizeBranding(branding, { title, logoSrc }) {
+  if (!branding || typeof branding !== 'object') return null;
+
+  let logoPosition = branding.logo_position ?? logoPositions[0];
+  if (!logoPositions.includes(logoPosition)) {
+    console.warn(`Warning: Unknown branding.logo_position "${logoPosition}" (use ${logoPositions.join(', ')}), using ${logoPositions[0]}`);
+    logoPosition = logoPositions[0];
+  }
+
+  let slideNumber = branding.slide_numbers === true ? slideNumberFormats[0] : branding.slide_numbers || false;
+  if (slideNumber && !slideNumberFormats.includes(slideNumber)) {
+    console.warn(`Warning: Unknown branding.slide_numbers "${slideNumber}" (use true, ${slideNumberFormats.join(', ')}), using ${slideNumberFormats[0]}`);
+    slideNumber = slideNumberFormats[0];
+  }
+
+  // The footer is escaped text with empty spans for the slide number and
+  // count, which the page fills in. SOURCE_DATE_EPOCH pins the date for
+  // reproducible builds.
+  const epoch = parseInt(process.env.SOURCE_DATE_EPOCH);
+  const date = (Number.isNaN(epoch) ? new Date() : new Date(epoch * 1000)).toISOString().slice(0, 10);
+  const footer = branding.footer ? escapeHtml(String(branding.footer)).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (name === 'title') return escapeHtml(title);
+    if (name === 'date') return date;
+    if (name === 'slide' || name === 'total') return `<span class="brand-${name}"></span>`;
+    console.warn(`Warning: Unknown placeholder ${match} in branding.footer (use {{title}}, {{date}}, {{slide}}, {{total}})`);
+    return match;
+  }) : '';
+
+  return {
+    logo: logoSrc(branding.logo) || '',
+    logoPosition,
+    footer,
+    slideNumber
+  };
+}
+
+// `background:` on a slide (or `title_background:` for the title slide) is a
+// color, a gradient or an image path, or an object of reveal's
+// data-background-* settings: { image, color, size, position, opacity... }
+const backgroundKeys = ['color', 'gradient', 'image', 'size', 'position', 'repeat', 'opacity', 'video', 'video-loop', 'video-muted'];
+
+function backgroundSettings(background) {
+  if (typeof background !== 'string') return background;
+  if (/gradient\(/.test(background)) return { gradient: background };
+  if (/^(#[0-9a-f]{3,8}|(rgb|hsl)a?\(.*\)|[a-z]+)$/i.test(background)) return { color: background };
+  return { image: background };
+}
+
+function backgroundAttrs(background, imageSrc) {
+  if (!background) return '';
+
+  let attrs = '';
+  for (const [key, value] of Object.entries(backgroundSettings(background))) {
+    if (!backgroundKeys.includes(key)) {
+      console.warn(`Warning: Unknown background setting "${key}" (use ${backgroundKeys.join(', ')})`);
+      continue;
+    }
+    const attrValue = key === 'image' || key === 'video' ? imageSrc(value) : value;
+    attrs += ` data-background-${key}="${escapeHtml(String(attrValue))}"`;
+  }
+  return attrs;
+}
+
+// The schema lets every text field be a number (`title: 2024`, a bare
+// number as a bullet); the build works on strings. Returns a copy.
+function textAsStrings(content) {
+  const text = value => typeof value === 'number' ? String(value) : value;
+  const convert = (object, keys) => {
+    const result = { ...object };
+    for (const key of keys) {
+      if (key in result) result[key] = text(result[key]);
+    }
+    return result;
+  };
+
+  const deck = convert(content, ['title', 'subtitle', 'title_notes', 'title_caption']);
+  if (Array.isArray(content.slides)) {
+    deck.slides = content.slides.map(slide => {
+      const result = convert(slide, ['title', 'id', 'caption', 'notes']);
+      if (Array.isArray(slide.content)) {
+        result.content = slide.content.map(item => {
+          const converted = convert(item, ['text', 'alt', 'code', 'focus', 'tex']);
+          if (Array.isArray(item.items)) converted.items = item.items.map(bullet => convert(bullet, ['text']));
+          if (Array.isArray(item.header)) converted.header = item.header.map(text);
+          if (Array.isArray(item.rows)) converted.rows = item.rows.map(row => row.map(text));
+          return converted;
+        });
+      }
+      return result;
+    });
+  }
+  return deck;
+}
+
+// Every local image and background video in the deck, as references for
+// prepareAssets. Remote ones stay links.
+function collectImages(content, { standalone }) {
+  const refs = [];
+  const add = (src, where, what) => {
+    if (isLocal(src)) {
+      refs.push({ src, where, what });
+    } else if (standalone && typeof src === 'string' && isRemote(src)) {
+      console.warn(`Warning: Remote ${what} will not be available offline: ${src}`);
+    }
+  };
+  const addBackground = (background, where) => {
+    if (!background) return;
+    const settings = backgroundSettings(background);
+    add(settings.image, where, 'background image');
+    add(settings.video, where, 'background video');
+  };
+
+  addBackground(content.title_background, 'Title slide');
+  (content.slides || []).forEach((slide, index) => {
+    const where = slide.title ? `Slide "${slide.title}"` : `Slide ${index + 1}`;
+    addBackground(slide.background, where);
+    for (const item of slide.content || []) {
+      if (item.type === 'image') add(item.src, where, 'image');
+    }
+  });
+  return refs;
+}
+
+function isLocal(src) {
+  return typeof src === 'string' && src !== '' && !src.startsWith('data:') && !isRemote(src);
+}
+
+function loadRevealAssets() {
+  const revealRoot = revealDir();
+  try {
+    return {
+      css: inlineCssFile(path.join(revealRoot, 'dist', 'reveal.css')),
+      themeCSS: inlineCssFile(path.join(revealRoot, 'dist', 'theme', 'white.css')),
+      js: inlineScriptFile(path.join(revealRoot, 'dist', 'reveal.js')),
+      notesJS: inlineScriptFile(path.join(revealRoot, 'plugin', 'notes', 'notes.js'))
+    };
+  } catch (err) {
+    throw new Error(`Could not read reveal.js from ${revealRoot}: ${err.message}. Run "npm install" to install it locally.`);
+  }
+}
+
+// Slide layouts. Slides without `layout:` stack the title and content.
+const layouts = ['two-column', 'image-left', 'image-right', 'full-bleed', 'big-number', 'quote', 'section'];
+
+function slideLayout(slide, { warn = false } = {}) {
+  if (!slide.layout) return null;
+  if (!layouts.includes(slide.layout)) {
+    if (warn) {
+      console.warn(`Warning: Unknown layout "${slide.layout}" on slide "${slide.title}", using the default`);
+    }
+    return null;
+  }
+  return slide.layout;
+}
+
+// Extra <section> attributes: the layout class, and for full-bleed the first
+// image as reveal's slide background
+function layoutAttrs(slide, imageSrc) {
+  const layout = slideLayout(slide, { warn: true });
+  if (!layout) return '';
+
+  let attrs = ` class="layout-${layout}"`;
+  // An explicit background: replaces the full-bleed image as background
+  if (layout === 'full-bleed' && !slide.background) {
+    const image = (slide.content || []).find(item => item.type === 'image');
+    if (image) {
+      attrs += ` data-background-image="${escapeHtml(imageSrc(image.src))}" data-background-size="cover"`;
+    } else {
+      console.warn(`Warning: full-bleed slide "${slide.title}" has no image`);
+    }
+  }
+  return attrs;
+}
+
+function renderSlide(slide, assets) {
+  const layout = slideLayout(slide);
+  const content = (slide.content || []).filter(item => item.type !== 'column-break');
+  const heading = slide.title || slide.title === 0 ? `<h2>${escapeHtml(slide.title)}</h2>` : '';
+  const render = items => items.map(item => renderContent(item, slide.build, assets)).join('\n');
+
+  switch (layout) {
+    case 'two-column': {
+      const columns = splitColumns(slide.content || []);
+      return heading + '<div class="columns">' +
+        columns.map(items => `<div class="column">${render(items)}</div>`).join('') +
+        '</div>';
+    }
+    case 'image-left':
+    case 'image-right': {
+      const image = content.find(item => item.type === 'image');
+      if (!image) {
+        console.warn(`Warning: ${layout} slide "${slide.title}" has no image`);
+      }
+      const media = `<div class="media">${image ? render([image]) : ''}</div>`;
+      const body = `<div class="body">${heading}${render(content.filter(item => item !== image))}</div>`;
+      return `<div class="split">${layout === 'image-left' ? media + body : body + media}</div>`;
+    }
+    case 'full-bleed': {
+      // The image is the slide background (see layoutAttrs)
+      const image = content.find(item => item.type === 'image');
+      return `<div class="overlay">${heading}${render(content.filter(item => item !== image))}</div>`;
+    }
+    case 'big-number': {
+      // The first paragraph is the figure, anything after it the caption
+      const index = content.findIndex(item => item.type === 'text');
+      if (index === -1) {
+        console.warn(`Warning: big-number slide "${slide.title}" has no number paragraph`);
+        return heading + render(content);
+      }
+      const figure = content[index];
+      const attrs = fragmentAttrs(figure.fragment, slide.build, figure.timing);
+      return heading +
+        `<div class="big-number"><p${attrs}>${formatText(figure.text)}</p></div>` +
+        render(content.filter((item, i) => i !== index));
+    }
+    case 'quote': {
+      // The first blockquote (or paragraph) is the quote, the next paragraph
+      // its attribution
+      const quote = content.find(item => item.type === 'quote') || content.find(item => item.type === 'text');
+      if (!quote) {
+        console.warn(`Warning: quote slide "${slide.title}" has no quote paragraph`);
+        return heading + render(content);
+      }
+      const source = content.find(item => item.type === 'text' && item !== quote);
+      const cite = source ? `<cite>${formatText(source.text)}</cite>` : '';
+      return heading +
+        `<blockquote${fragmentAttrs(quote.fragment, slide.build, quote.timing)}>${renderParagraphs(quote.text)}${cite}</blockquote>` +
+        render(content.filter(item => item !== quote && item !== source));
+    }
+    default:
+      // section dividers only differ in styling
+      return heading + render(content);
+  }
+}
+
+// Split content at `column-break` items. Without a break, the content blocks
+// are shared out evenly between two columns.
+function splitColumns(content) {
+  if (content.some(item => item.type === 'column-break')) {
+    const columns = [[]];
+    for (const item of content) {
+      if (item.type === 'column-break') {
+        columns.push([]);
+      } else {
+        columns[columns.length - 1].push(item);
+      }
+    }
+    return columns;
+  }
+  const half = Math.ceil(content.length / 2);
+  return [content.slice(0, half), content.slice(half)];
+}
+
+function renderContent(contentItem, build, assets) {
+  const attrs = fragmentAttrs(contentItem.fragment, build, contentItem.timing);
+
+  switch (contentItem.type) {
+    case 'bullets':
+      return renderBullets(contentItem.items, 0, contentItem.fragment ?? build, contentItem.ordered);
+    case 'text':
+      return `<p${attrs}>${formatText(contentItem.text)}</p>`;
+    case 'quote':
+      return `<blockquote${attrs}>${renderParagraphs(contentItem.text)}</blockquote>`;
+    case 'table':
+      return renderTable(contentItem, attrs);
+    case 'image':
+      return `<img${attrs} src="${escapeHtml(assets.imageSrc(contentItem.src))}" alt="${escapeHtml(contentItem.alt || '')}"${imageSize(contentItem)} />`;
+    case 'code':
+      return renderCode(contentItem, attrs);
+    case 'diagram':
+      return `<div${withClass(attrs, `diagram diagram-${escapeHtml(contentItem.engine)}`)}>${assets.diagramSvg(contentItem)}</div>`;
+    case 'math':
+      return `<div${withClass(attrs, 'math')}>${assets.diagramSvg(contentItem)}</div>`;
+    default:
+      return '';
+  }
+}
+
+// Optional `width` / `height` on an image, in pixels or any CSS length
+function imageSize(item) {
+  const style = ['width', 'height']
+    .filter(key => item[key] !== undefined && item[key] !== '')
+    .map(key => `${key}: ${typeof item[key] === 'number' ? `${item[key]}px` : escapeHtml(String(item[key]))}`);
+  return style.length > 0 ? ` style="${style.join('; ')}"` : '';
+}
+
+// Code is highlighted at build time so the colors need no JavaScript in the
+// deck (and so show up in export and render). `focus` dims all but the given
+// lines: "2,4-6" is one fixed focus, "2|4-6" steps through the groups as
+// fragments, each step a copy of the block laid over the previous one.
+function renderCode(item, attrs) {
+  const language = item.language || 'text';
+  const code = String(item.code ?? '');
+  const html = highlightCode(code, language);
+  const codeClass = `hljs language-${escapeHtml(language)}`;
+
+  if (!item.focus) {
+    return `<pre${attrs}><code class="${codeClass}">${html}</code></pre>`;
+  }
+
+  const lines = splitHighlightedLines(html.replace(/\n$/, ''));
+  const steps = String(item.focus).split('|').map(parseLineRanges);
+  const renderStep = focused => lines
+    .map((line, i) => `<span class="line${focused.size > 0 && !focused.has(i + 1) ? ' dim' : ''}">${line}</span>`)
+    .join('\n');
+
+  // Every step after the first is a fragment that fades in over the last
+  const stepClass = `${codeClass} code-step fragment`;
+  const blocks = steps.map((focused, i) =>
+    `<code class="${i === 0 ? codeClass : stepClass}">${renderStep(focused)}</code>`
+  );
+
+  return `<pre${withClass(attrs, 'code-focus')}>${blocks.join('')}</pre>`;
+}
+
+function highlightCode(code, language) {
+  if (!hljs.getLanguage(language)) {
+    console.warn(`Warning: No syntax highlighting for language "${language}"`);
+    return escapeHtml(code);
+  }
+  return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+}
+
+// Split highlighted HTML into lines, closing any spans still open at a line
+// break and reopening them on the next line (multi-line strings, comments)
+function splitHighlightedLines(html) {
+  const lines = [];
+  const open = [];
+  let current = '';
+
+  for (const part of html.split(/(<span[^>]*>|<\/span>|\n)/)) {
+    if (part === '\n') {
+      lines.push(current + '</span>'.repeat(open.length));
+      current = open.join('');
+    } else if (part.startsWith('<span')) {
+      open.push(part);
+      current += part;
+    } else if (part === '</span>') {
+      open.pop();
+      current += part;
+    } else {
+      current += part;
+    }
+  }
+  lines.push(current);
+  return lines;
+}
+
+// "2,4-6" -> Set {2, 4, 5, 6}
+function parseLineRanges(spec) {
+  const lines = new Set();
+  for (const range of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = range.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      console.warn(`Warning: Invalid line range "${range}" in code focus`);
+      continue;
+    }
+    const start = parseInt(match[1]);
+    const end = parseInt(match[2] || match[1]);
+    for (let line = start; line <= end; line++) {
+      lines.add(line);
+    }
+  }
+  return lines;
+}
+
+// `music:` is either a path or { src, volume }
+function normalizeMusic(music) {
+  if (!music) return null;
+  const normalized = typeof music === 'string' ? { src: music } : { ...music };
+  if (!normalized.src) return null;
+  normalized.volume = normalized.volume ?? 0.3;
+  return normalized;
+}
+
+// Speaker notes: blank lines separate paragraphs, single newlines are kept
+function renderNotes(notes) {
+  if (!notes) return '';
+  return renderParagraphs(notes, '\n');
+}
+
+function renderParagraphs(text, separator = '') {
+  return String(text || '')
+    .split(/\n\s*\n/)
+    .map(para => para.trim())
+    .filter(Boolean)
+    .map(para => `<p>${formatText(para).replace(/\n/g, '<br>')}</p>`)
+    .join(separator);
+}
+
+// `align` holds left, center or right per column
+function renderTable(table, attrs) {
+  const align = table.align || [];
+  const cell = (tag, text, i) => {
+    const style = align[i] && align[i] !== 'left' ? ` style="text-align: ${escapeHtml(align[i])}"` : '';
+    return `<${tag}${style}>${formatText(String(text ?? ''))}</${tag}>`;
+  };
+
+  const head = (table.header || []).map((text, i) => cell('th', text, i)).join('');
+  const rows = (table.rows || [])
+    .map(row => `<tr>${row.map((text, i) => cell('td', text, i)).join('')}</tr>`)
+    .join('');
+
+  return `<table${attrs}>${head ? `<thead><tr>${head}</tr></thead>` : ''}<tbody>${rows}</tbody></table>`;
+}
+
+// Resolve an element's fragment setting against the slide/list `build`.
+// Returns null for no fragment, '' for a plain fragment, or a style name.
+function fragmentStyle(fragment, build) {
+  if (fragment === false) return null;
+  const effective = fragment ?? build;
+  if (!effective) return null;
+  if (effective === true) {
+    return typeof build === 'string' ? build : '';
+  }
+  return String(effective);
+}
+
+function fragmentAttrs(fragment, build, timing) {
+  const style = fragmentStyle(fragment, build);
+  if (style === null) return '';
+
+  const classes = style ? `fragment ${escapeHtml(style)}` : 'fragment';
+  const timingAttr = timing ? ` data-timing="${escapeHtml(String(timing))}"` : '';
+  return ` class="${classes}"${timingAttr}`;
+}
+
+// Add a class to attributes from fragmentAttrs, which may already set one
+function withClass(attrs, className) {
+  return attrs.includes(' class="')
+    ? attrs.replace(' class="', ` class="${className} `)
+    : ` class="${className}"${attrs}`;
+}
+
+// `ordered` numbers the top level; nested items stay bulleted
+function renderBullets(items, level = 0, build = false, ordered = false) {
+  if (!items || items.length === 0) return '';
+
+  const tag = ordered ? 'ol' : 'ul';
+  let html = `<${tag}>`;
+  let i = 0;
+
+  while (i < items.length) {
+    const item = items[i];
+    const itemLevel = item.level || 0;
+
+    if (itemLevel === level) {
+      html += `<li${fragmentAttrs(item.fragment, build, item.timing)}>${formatText(item.text)}`;
+
+      // Check for nested items
+      const nested = [];
+      let j = i + 1;
+      while (j < items.length && (items[j].level || 0) > level) {
+        nested.push(items[j]);
+        j++;
+      }
+
+      if (nested.length > 0) {
+        html += renderBullets(nested, level + 1, build);
+        i = j;
+      } else {
+        i++;
+      }
+
+      html += '</li>';
+    } else {
+      i++;
+    }
+  }
+
+  html += `</${tag}>`;
+  return html;
+}
+
+function escapeHtml(text) {
+  if (text === undefined || text === null) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// Inline Markdown for slide text: **keywords**, `metrics`, *italics*,
+// ~~strikethrough~~ and links. Raw HTML is escaped rather than passed
+// through, and only http(s), mailto and relative links are kept.
+const inlineMarkdown = new Marked({
+  gfm: true,
+  renderer: {
+    strong(text) {
+      return `<strong class="keyword">${text}</strong>`;
+    },
+    codespan(text) {
+      return `<span class="metric">${text}</span>`;
+    },
+    html(html) {
+      return escapeHtml(html);
+    },
+    link(href, title, text) {
+      if (!isSafeLink(href)) return text;
+      // marked has already escaped the title, but not the href
+      const titleAttr = title ? ` title="${title}"` : '';
+      return `<a href="${escapeHtml(href)}"${titleAttr}>${text}</a>`;
+    },
+    // Images belong on their own line as image content
+    image(href, title, text) {
+      return text;
+    }
+  }
+});
+
+function isSafeLink(href) {
+  const scheme = String(href || '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+}
+
+function formatText(text) {
+  if (!text) return '';
+  return inlineMarkdown.parseInline(String(text));
+}
+
+// reveal.js only knows three transition speeds: fast (0.4s), default (0.8s)
+// and slow (1.2s). Pick the one closest to timing.transition.
+function revealTransitionSpeed(seconds) {
+  if (!(seconds > 0)) return 'default';
+  if (seconds < 0.6) return 'fast';
+  if (seconds > 1.0) return 'slow';
+  return 'default';
+}
+
+function getTemplate() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{title}}</title>
+  {{#if standalone}}
+  <style>
+    {{{reveal.css}}}
+  </style>
+  <style>
+    {{{reveal.themeCSS}}}
+  </style>
+  {{else}}
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/reveal.js@{{revealCdnVersion}}/dist/reveal.css">
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/reveal.js@{{revealCdnVersion}}/dist/theme/white.css">
+  {{/if}}
+  <style>
+    {{{themeCSS}}}
+  </style>
+</head>
+<body>
+  <div class="reveal {{formattingClasses}}"{{#if music}} data-music="{{mediaPath music.src}}" data-music-volume="{{music.volume}}"{{/if}}>
+    <div class="slides">
+      {{#if title}}
+      <section class="title-slide"{{backgroundAttrs titleBackground}}{{#if titleTiming}} data-timing="{{titleTiming}}"{{/if}}{{#if titleAudio}} data-audio="{{mediaPath titleAudio}}"{{/if}}{{#if titleCaption}} data-caption="{{titleCaption}}"{{/if}}>
+        <h1>{{title}}</h1>
+        {{#if subtitle}}<h2>{{subtitle}}</h2>{{/if}}
+        {{#if titleNotes}}
+        <aside class="notes">{{{renderNotes titleNotes}}}</aside>
+        {{/if}}
+      </section>
+      {{/if}}
+
+      {{#each slides}}
+      <section{{layoutAttrs this}}{{backgroundAttrs this.background}}{{#if this.timing}} data-timing="{{this.timing}}"{{else}}{{#unless this.audio}} data-timing="{{../defaultTiming}}"{{/unless}}{{/if}}{{#if this.audio}} data-audio="{{mediaPath this.audio}}"{{/if}}{{#if this.caption}} data-caption="{{this.caption}}"{{/if}}>
+        {{#if this.layout}}
+        {{renderSlide this}}
+        {{else}}
+        {{#if this.title}}<h2>{{this.title}}</h2>{{/if}}
+        {{#each this.content}}
+        {{{renderContent this ../build}}}
+        {{/each}}
+        {{/if}}
+        {{#if this.notes}}
+        <aside class="notes">{{{renderNotes this.notes}}}</aside>
+        {{/if}}
+      </section>
+      {{/each}}
+    </div>
+    {{#if branding.logo}}
+    <img class="brand-logo {{branding.logoPosition}}" src="{{branding.logo}}" alt="">
+    {{/if}}
+    {{#if branding.footer}}
+    <div class="brand-footer">{{{branding.footer}}}</div>
+    {{/if}}
+  </div>
+
+  {{#if standalone}}
+  <script>{{{reveal.js}}}</script>
+  <script>{{{reveal.notesJS}}}</script>
+  {{else}}
+  <script src="https://cdn.jsdelivr.net/npm/reveal.js@{{revealCdnVersion}}/dist/reveal.js"></script>
+  <script src="https://cdn.jsdelivr.net/npm/reveal.js@{{revealCdnVersion}}/plugin/notes/notes.js"></script>
+  {{/if}}
+  <script>
+    Reveal.initialize({
+      hash: true,
+      transition: '{{transition}}',
+      transitionSpeed: '{{transitionSpeed}}',
+      autoSlide: 0,
+      controls: true,
+      progress: true,
+      center: true,
+      {{#if branding.slideNumber}}
+      slideNumber: '{{branding.slideNumber}}',
+      showSlideNumber: 'all',
+      {{/if}}
+      width: 1920,
+      height: 1080,
+      plugins: [ RevealNotes ]
+    });
+    {{#if branding.footer}}
+
+    // Fill in the footer's slide number and count on every slide change
+    function updateFooter() {
+      document.querySelectorAll('.reveal > .brand-footer .brand-slide').forEach(function(span) {
+        span.textContent = Reveal.getSlidePastCount() + 1;
+      });
+      document.querySelectorAll('.reveal > .brand-footer .brand-total').forEach(function(span) {
+        span.textContent = Reveal.getTotalSlides();
+      });
+    }
+    Reveal.on('ready', updateFooter);
+    Reveal.on('slidechanged', updateFooter);
+    {{/if}}
+    {{#if branding}}
+
+    // PDF export lays every slide out as its own page; give each page its
+    // own copy of the logo and footer
+    Reveal.on('pdf-ready', function() {
+      var pages = document.querySelectorAll('.reveal .pdf-page');
+      var overlays = document.querySelectorAll('.reveal > .brand-logo, .reveal > .brand-footer');
+      pages.forEach(function(page, index) {
+        overlays.forEach(function(overlay) {
+          var copy = overlay.cloneNode(true);
+          copy.querySelectorAll('.brand-slide').forEach(function(span) { span.textContent = index + 1; });
+          copy.querySelectorAll('.brand-total').forEach(function(span) { span.textContent = pages.length; });
+          page.appendChild(copy);
+        });
+      });
+      overlays.forEach(function(overlay) { overlay.remove(); });
+    });
+    {{/if}}
+  </script>
+</body>
+</html>`;
+}
@@ -0,0 +1,119 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const projectRoot = path.dirname(__dirname);
+
+export const defaults = {
+  theme: 'minimal',
+  transition: 'fade',
+  timing: { default: 5, transition: 0.8, fragment: 2 },
+  video: { width: 3840, height: 2160, fps: 30, format: 'mp4' },
+  formatting: { keyword_style: 'bold-accent', metric_style: 'large-number' },
+  // max_width and max_height default to the video size
+  images: { optimize: true, format: 'webp', quality: 85 }
+};
+
+// Keys in slides.yaml that take part in config resolution
+const contentKeys = ['theme', 'timing'];
+
+// Resolve the effective config for a presentation folder (or none, for the
+// global config alone). Later layers win:
+//   built-in defaults
+//   formatting styles from preferences.yaml
+//   global config.yaml
+//   <presentationDir>/config.yaml
+//   theme/timing keys from slides.yaml (content)
+//   CLI flags (overrides)
+// Throws when one of the files is malformed.
+export function loadConfig(presentationDir, { content, overrides } = {}) {
+  let config = deepMerge({}, defaults);
+
+  const preferences = readConfigFile(path.join(projectRoot, 'preferences.yaml'));
+  config = deepMerge(config, { formatting: preferences.formatting });
+
+  const globalPath = path.join(projectRoot, 'config.yaml');
+  config = deepMerge(config, readConfigFile(globalPath));
+
+  if (presentationDir) {
+    const localPath = path.resolve(presentationDir, 'config.yaml');
+    if (localPath !== globalPath) {
+      config = deepMerge(config, readConfigFile(localPath));
+    }
+  }
+
+  if (content) {
+    const fromContent = {};
+    for (const key of contentKeys) {
+      if (content[key] !== undefined) {
+        fromContent[key] = content[key];
+      }
+    }
+    config = deepMerge(config, fromContent);
+  }
+
+  if (overrides) {
+    config = deepMerge(config, overrides);
+  }
+
+  return config;
+}
+
+// The config files loadConfig reads for a presentation folder, where they exist
+export function configFiles(presentationDir) {
+  const files = [path.join(projectRoot, 'preferences.yaml'), path.join(projectRoot, 'config.yaml')];
+  if (presentationDir) {
+    files.push(path.resolve(presentationDir, 'config.yaml'));
+  }
+  return [...new Set(files)].filter(file => fs.existsSync(file));
+}
+
+// A missing or empty file is no settings; one that can't be read or isn't
+// a YAML mapping throws, naming the file
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  let loaded;
+  try {
+    loaded = yaml.load(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not load ${path.relative(process.cwd(), filePath)}: ${err.message}`);
+  }
+  if (loaded === undefined || loaded === null) {
+    return {};
+  }
+  if (!isPlainObject(loaded)) {
+    throw new Error(`Could not load ${path.relative(process.cwd(), filePath)}: expected key: value settings`);
+  }
+  return loaded;
+}
+
+// Recursively merge plain objects. Arrays and scalars replace, undefined
+// values are skipped so unset CLI flags don't wipe out config values.
+export function deepMerge(target, source) {
+  if (!isPlainObject(source)) {
+    return target;
+  }
+
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined) continue;
+
+    if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = deepMerge(result[key], value);
+    } else if (isPlainObject(value)) {
+      result[key] = deepMerge({}, value);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,203 @@
+import { createHash } from 'crypto';
+import { createRequire } from 'module';
+import { themeVariables } from './themes.js';
+
+const require = createRequire(import.meta.url);
+
+// Diagram and math content rendered to inline SVG at build time, so decks
+// need no JavaScript or network for them and they stay sharp at 4K. Colors
+// come from the theme's --diagram-* custom properties.
+
+const defaultPalette = {
+  background: '#ffffff',
+  fill: '#f5f5f5',
+  stroke: '#333333',
+  text: '#222222',
+  accent: '#0066cc',
+  font: 'Helvetica, Arial, sans-serif'
+};
+
+// The theme's `--diagram-fill: #eee;` style custom properties
+export function diagramPalette(themeCSS) {
+  const palette = { ...defaultPalette };
+  for (const [name, value] of Object.entries(themeVariables(themeCSS))) {
+    if (name.startsWith('diagram-')) palette[name.slice('diagram-'.length)] = value;
+  }
+  return palette;
+}
+
+// Render every diagram and math block in the slides. Returns a Map from
+// content item to SVG markup. Throws on syntax errors, naming the slide.
+export async function renderDiagrams(slides, palette) {
+  const svgs = new Map();
+  const items = [];
+  for (const slide of slides || []) {
+    for (const item of slide.content || []) {
+      if (item.type === 'math' || item.type === 'diagram') {
+        items.push({ slide, item });
+      }
+    }
+  }
+  if (items.length === 0) return svgs;
+
+  const failed = (slide, err) => new Error(`Slide "${slide.title}": ${err.message}`);
+
+  const math = items.filter(({ item }) => item.type === 'math');
+  if (math.length > 0) {
+    const toSvg = await loadMathJax();
+    for (const { slide, item } of math) {
+      try {
+        svgs.set(item, toSvg(String(item.tex ?? '')));
+      } catch (err) {
+        throw failed(slide, new Error(`Math error: ${err.message}`));
+      }
+    }
+  }
+
+  const dot = items.filter(({ item }) => item.type === 'diagram' && item.engine === 'dot');
+  if (dot.length > 0) {
+    const { instance } = await import('@viz-js/viz');
+    const viz = await instance();
+    for (const { slide, item } of dot) {
+      svgs.set(item, renderDot(viz, slide, item, palette));
+    }
+  }
+
+  // Mermaid results are cached per process: preview --watch rebuilds would
+  // otherwise start Chrome on every save
+  const mermaid = items.filter(({ item }) => item.type === 'diagram' && item.engine === 'mermaid');
+  const cacheKey = item => JSON.stringify([String(item.source ?? ''), palette]);
+  const uncached = mermaid.filter(({ item }) => !mermaidCache.has(cacheKey(item)));
+  if (uncached.length > 0) {
+    const rendered = await renderMermaid(uncached, palette);
+    uncached.forEach(({ item }, i) => mermaidCache.set(cacheKey(item), rendered[i]));
+  }
+  // Identical diagrams share a rendering, so each copy is numbered by its
+  // place in the deck to keep the ids unique
+  mermaid.forEach(({ item }, index) => {
+    const id = mermaidId(item);
+    svgs.set(item, mermaidCache.get(cacheKey(item)).replaceAll(id, `${id}-${index + 1}`));
+  });
+
+  for (const { slide, item } of items) {
+    if (!svgs.has(item)) {
+      throw failed(slide, new Error(`Unknown diagram engine "${item.engine}" (use mermaid or dot)`));
+    }
+  }
+
+  return svgs;
+}
+
+async function loadMathJax() {
+  const { mathjax } = await import('mathjax-full/js/mathjax.js');
+  const { TeX } = await import('mathjax-full/js/input/tex.js');
+  const { SVG } = await import('mathjax-full/js/output/svg.js');
+  const { liteAdaptor } = await import('mathjax-full/js/adaptors/liteAdaptor.js');
+  const { RegisterHTMLHandler } = await import('mathjax-full/js/handlers/html.js');
+  const { AllPackages } = await import('mathjax-full/js/input/tex/AllPackages.js');
+
+  const adaptor = liteAdaptor();
+  RegisterHTMLHandler(adaptor);
+
+  // formatError throws instead of rendering the error in red into the slide.
+  // fontCache 'none' keeps each SVG self-contained (no shared glyph ids).
+  const tex = new TeX({
+    packages: AllPackages,
+    formatError: (jax, err) => { throw err; }
+  });
+  const doc = mathjax.document('', { InputJax: tex, OutputJax: new SVG({ fontCache: 'none' }) });
+
+  // The SVG draws with currentColor, so it takes the slide's text color
+  return source => adaptor.innerHTML(doc.convert(source, { display: true }));
+}
+
+function renderDot(viz, slide, item, palette) {
+  const result = viz.render(String(item.source ?? ''), {
+    format: 'svg',
+    graphAttributes: {
+      bgcolor: 'transparent',
+      color: palette.stroke,
+      fontcolor: palette.text,
+      fontname: palette.font
+    },
+    nodeAttributes: {
+      style: 'filled',
+      color: palette.stroke,
+      fillcolor: palette.fill,
+      fontcolor: palette.text,
+      fontname: palette.font
+    },
+    edgeAttributes: {
+      color: palette.accent,
+      fontcolor: palette.text,
+      fontname: palette.font
+    }
+  });
+
+  if (result.status !== 'success') {
+    const message = result.errors.map(error => error.message).join('; ');
+    throw new Error(`Slide "${slide.title}": dot error: ${message}`);
+  }
+
+  // Drop the XML prolog and doctype
+  return result.output.slice(result.output.indexOf('<svg'));
+}
+
+const mermaidCache = new Map();
+
+// Mermaid scopes each diagram's styles by element id. Rendered under this
+// id, the SVG gets a deck-unique one when it is placed (see renderDiagrams).
+function mermaidId(item) {
+  return 'mermaid-' + createHash('sha1').update(String(item.source ?? '')).digest('hex').slice(0, 10);
+}
+
+// Mermaid needs a DOM, so it runs in headless Chrome with the mermaid bundle
+// from node_modules (no network)
+async function renderMermaid(entries, palette) {
+  const { launchBrowser } = await import('./browser.js');
+  let browser;
+  try {
+    browser = await launchBrowser();
+  } catch (err) {
+    throw new Error(`Mermaid diagrams need headless Chrome: ${err.message}`);
+  }
+
+  try {
+    const page = await browser.newPage();
+    await page.setContent('<!DOCTYPE html><html><body></body></html>');
+    await page.addScriptTag({ path: require.resolve('mermaid/dist/mermaid.min.js') });
+
+    return await page.evaluate(async (sources, palette) => {
+      mermaid.initialize({
+        startOnLoad: false,
+        securityLevel: 'strict',
+        theme: 'base',
+        fontFamily: palette.font,
+        themeVariables: {
+          background: palette.background,
+          primaryColor: palette.fill,
+          primaryBorderColor: palette.stroke,
+          primaryTextColor: palette.text,
+          secondaryColor: palette.background,
+          tertiaryColor: palette.background,
+          lineColor: palette.accent,
+          textColor: palette.text,
+          fontFamily: palette.font
+        }
+      });
+
+      const svgs = [];
+      for (let i = 0; i < sources.length; i++) {
+        try {
+          const { svg } = await mermaid.render(sources[i].id, sources[i].source);
+          svgs.push(svg);
+        } catch (err) {
+          throw new Error(`Slide "${sources[i].title}": mermaid error: ${err.message}`);
+        }
+      }
+      return svgs;
+    }, entries.map(({ slide, item }) => ({ id: mermaidId(item), title: slide.title, source: String(item.source ?? '') })), palette);
+  } finally {
+    await browser.close();
+  }
+}
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import { openDeck } from './browser.js';
+
+export const exportFormats = ['pdf', 'png'];
+export const pageSizes = ['slide', 'a4', 'letter'];
+
+// Export built HTML slides to a PDF handout, or to a folder of PNG images
+// with every fragment shown. The output defaults to a file or folder next
+// to the input. Progress goes to `log`.
+//
+// Resolves to { output, format, files: [paths written] }.
+export async function exportDeck(htmlPath, {
+  format = 'pdf',
+  output,
+  pageSize = 'slide',
+  notes = false,
+  width = 1920,
+  height = 1080,
+  log = () => {}
+} = {}) {
+  format = format.toLowerCase();
+  pageSize = pageSize.toLowerCase();
+  if (!exportFormats.includes(format)) {
+    throw new Error(`Unknown format "${format}" (use ${exportFormats.join(' or ')})`);
+  }
+  if (!pageSizes.includes(pageSize)) {
+    throw new Error(`Unknown page size "${pageSize}" (use ${pageSizes.join(', ')})`);
+  }
+
+  const inputPath = path.resolve(htmlPath);
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`Input file not found: ${inputPath}`);
+  }
+
+  const inputBase = inputPath.replace(/\.html?$/i, '');
+  const outputPath = path.resolve(output || (format === 'pdf' ? `${inputBase}.pdf` : `${inputBase}-png`));
+
+  const files = format === 'pdf'
+    ? await exportPdf(inputPath, outputPath, { pageSize, notes })
+    : await exportPng(inputPath, outputPath, { width, height, log });
+  return { output: outputPath, format, files };
+}
+
+async function exportPdf(inputPath, outputPath, { pageSize, notes }) {
+  // reveal's print-pdf mode lays every slide out as its own page. Fragments
+  // are shown in their final state, which is what a handout wants.
+  const query = ['print-pdf', 'pdfSeparateFragments=false'];
+  if (notes) {
+    query.push('showNotes=true');
+  }
+
+  const { browser, page } = await openDeck(inputPath, {
+    width: 1920,
+    height: 1080,
+    query: query.join('&')
+  });
+
+  try {
+    const pdfOptions = {
+      path: outputPath,
+      printBackground: true
+    };
+
+    if (pageSize === 'slide') {
+      // Print mode sets @page to the deck's own dimensions
+      pdfOptions.preferCSSPageSize = true;
+    } else {
+      pdfOptions.format = pageSize;
+      pdfOptions.landscape = true;
+    }
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    await page.pdf(pdfOptions);
+  } finally {
+    await browser.close();
+  }
+
+  return [outputPath];
+}
+
+async function exportPng(inputPath, outputPath, { width, height, log }) {
+  const { browser, page } = await openDeck(inputPath, {
+    width,
+    height,
+    query: 'transition=none'
+  });
+
+  const files = [];
+  try {
+    const slides = await page.evaluate(() => {
+      return Reveal.getSlides().map(slide => Reveal.getIndices(slide));
+    });
+
+    fs.mkdirSync(outputPath, { recursive: true });
+    const digits = Math.max(2, String(slides.length).length);
+
+    for (let i = 0; i < slides.length; i++) {
+      // Show the slide with every fragment revealed, animations settled
+      await page.evaluate(({ h, v }) => {
+        Reveal.slide(h, v, Number.MAX_SAFE_INTEGER);
+        document.getAnimations().forEach(animation => animation.finish());
+      }, slides[i]);
+
+      const file = path.join(outputPath, `slide-${String(i + 1).padStart(digits, '0')}.png`);
+      await page.screenshot({ path: file, type: 'png' });
+      files.push(file);
+      log(`Slide ${i + 1}/${slides.length}: ${path.basename(file)}`);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  return files;
+}
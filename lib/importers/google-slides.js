@@ -0,0 +1,157 @@
+// Google Slides decks as JSON, in the Slides API's presentations.get format
+// (https://developers.google.com/slides/api/reference/rest/v1/presentations).
+// The TITLE placeholder is the slide title; text boxes and BODY
+// placeholders are bullets (by their nesting level) and paragraphs, then
+// images and tables. Speaker notes come from the notes page. A first slide
+// with a CENTERED_TITLE or SUBTITLE placeholder is the title slide.
+
+const titleTypes = ['TITLE', 'CENTERED_TITLE'];
+
+export function importGoogleSlides(text) {
+  let presentation;
+  try {
+    presentation = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a Google Slides JSON file: ${err.message}`);
+  }
+  if (!Array.isArray(presentation?.slides)) {
+    throw new Error('Not a Google Slides JSON file: no "slides" list');
+  }
+
+  const deck = { title: '', subtitle: '', slides: [] };
+  presentation.slides.forEach((page, index) => {
+    const elements = flatten(page.pageElements || []);
+    const placeholder = type => elements.find(element => element.shape?.placeholder?.type === type);
+    const notes = speakerNotes(page);
+
+    if (index === 0 && (placeholder('CENTERED_TITLE') || placeholder('SUBTITLE'))) {
+      deck.title = plainText(placeholder('CENTERED_TITLE') || placeholder('TITLE'));
+      deck.subtitle = plainText(placeholder('SUBTITLE'));
+      if (notes) deck.title_notes = notes;
+      return;
+    }
+
+    const slide = { title: '', content: [] };
+    for (const element of elements) {
+      const type = element.shape?.placeholder?.type;
+      if (titleTypes.includes(type) && !slide.title) {
+        slide.title = plainText(element);
+      } else if (element.shape?.text) {
+        slide.content.push(...textContent(element.shape.text, presentation.lists || {}));
+      } else if (element.image) {
+        slide.content.push({
+          type: 'image',
+          alt: element.description || element.title || '',
+          src: element.image.sourceUrl || element.image.contentUrl || ''
+        });
+      } else if (element.table) {
+        slide.content.push(tableContent(element.table));
+      }
+    }
+    if (notes) {
+      slide.notes = notes;
+    }
+    deck.slides.push(slide);
+  });
+
+  if (!deck.title) {
+    deck.title = presentation.title || '';
+  }
+  return deck;
+}
+
+// Page elements with groups replaced by their members
+function flatten(elements) {
+  return elements.flatMap(element =>
+    element.elementGroup ? flatten(element.elementGroup.children || []) : [element]
+  );
+}
+
+function speakerNotes(page) {
+  const notesPage = page.slideProperties?.notesPage;
+  const id = notesPage?.notesProperties?.speakerNotesObjectId;
+  const shape = (notesPage?.pageElements || []).find(element => element.objectId === id);
+  return shape ? paragraphs(shape.shape?.text).map(p => p.text).filter(Boolean).join('\n\n') : '';
+}
+
+function plainText(element) {
+  return paragraphs(element?.shape?.text).map(p => p.text).filter(Boolean).join(' ');
+}
+
+// Bulleted paragraphs as bullets, the rest as text
+function textContent(text, lists) {
+  const content = [];
+  let list = null;
+
+  for (const paragraph of paragraphs(text)) {
+    if (!paragraph.text) continue;
+    if (paragraph.bullet) {
+      if (!list) {
+        list = { type: 'bullets', items: [] };
+        if (isNumbered(paragraph.bullet, lists)) list.ordered = true;
+        content.push(list);
+      }
+      list.items.push({ text: paragraph.text, level: Math.min(paragraph.bullet.nestingLevel || 0, 5) });
+    } else {
+      list = null;
+      content.push({ type: 'text', text: paragraph.text });
+    }
+  }
+  return content;
+}
+
+function isNumbered(bullet, lists) {
+  if (/^\d|^[a-z][.)]/i.test(bullet.glyph || '')) return true;
+  const glyphType = lists[bullet.listId]?.nestingLevel?.[bullet.nestingLevel || 0]?.bulletStyle?.glyphType;
+  return Boolean(glyphType) && !['GLYPH_TYPE_UNSPECIFIED', 'NONE'].includes(glyphType);
+}
+
+// Split a TextContent into paragraphs of { text, bullet }, the text runs'
+// bold, italic and links as Markdown
+function paragraphs(text) {
+  const result = [];
+  let current = null;
+
+  for (const element of text?.textElements || []) {
+    if (element.paragraphMarker) {
+      current = { text: '', bullet: element.paragraphMarker.bullet || null };
+      result.push(current);
+    } else if (element.textRun) {
+      if (!current) {
+        current = { text: '', bullet: null };
+        result.push(current);
+      }
+      current.text += formatRun(element.textRun);
+    }
+  }
+  return result.map(p => ({ ...p, text: p.text.replace(/[\n\u000b]+/g, ' ').trim() }));
+}
+
+function formatRun({ content = '', style = {} }) {
+  const text = content.replace(/\n$/, '');
+  const core = text.trim();
+  if (!core) return content;
+
+  let formatted = core;
+  if (style.bold) formatted = `**${formatted}**`;
+  if (style.italic) formatted = `*${formatted}*`;
+  if (style.strikethrough) formatted = `~~${formatted}~~`;
+  if (style.link?.url) formatted = `[${formatted}](${style.link.url})`;
+
+  const lead = text.match(/^\s*/)[0];
+  const trail = text.slice(lead.length + core.length);
+  return lead + formatted + trail + (content.endsWith('\n') ? '\n' : '');
+}
+
+function tableContent(table) {
+  const rows = (table.tableRows || []).map(row =>
+    (row.tableCells || []).map(cell => paragraphs(cell.text).map(p => p.text).filter(Boolean).join(' '))
+  );
+  const [header = [], ...body] = rows;
+  return {
+    type: 'table',
+    align: header.map(() => 'left'),
+    header,
+    rows: body
+  };
+}
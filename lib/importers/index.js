@@ -0,0 +1,47 @@
+import path from 'path';
+import { parseOutline } from '../outline.js';
+import { importGoogleSlides } from './google-slides.js';
+import { importMarkdown } from './markdown.js';
+import { importPptxText } from './pptx-text.js';
+import { importRevealHtml } from './reveal-html.js';
+
+// Importers turn a slide source into the slides.yaml structure parseOutline
+// produces: title, subtitle and slides of titles, bullets with levels,
+// images, code and notes. Each is a function (text, options) -> deck, and
+// `extensions` are the file types picked for it when no format is given.
+// Others can be added with registerImporter.
+
+const importers = new Map();
+
+export function registerImporter(name, parse, { extensions = [] } = {}) {
+  importers.set(name, { parse, extensions: extensions.map(ext => ext.toLowerCase()) });
+}
+
+registerImporter('outline', parseOutline, { extensions: ['.txt'] });
+registerImporter('markdown', importMarkdown, { extensions: ['.md', '.markdown'] });
+registerImporter('reveal-html', importRevealHtml, { extensions: ['.html', '.htm'] });
+registerImporter('pptx-text', importPptxText);
+registerImporter('google-slides', importGoogleSlides, { extensions: ['.json'] });
+
+export function importFormats() {
+  return [...importers.keys()];
+}
+
+// The format for a file by its extension; outline for anything unknown
+export function detectFormat(file) {
+  const ext = path.extname(file).toLowerCase();
+  for (const [name, importer] of importers) {
+    if (importer.extensions.includes(ext)) return name;
+  }
+  return 'outline';
+}
+
+// Parse `text` in the given format. Options go to the importer (markdown
+// takes `split`). Throws on an unknown format.
+export function importDeck(text, { from = 'outline', ...options } = {}) {
+  const importer = importers.get(from);
+  if (!importer) {
+    throw new Error(`Unknown format "${from}" (use ${importFormats().join(', ')})`);
+  }
+  return importer.parse(text, options);
+}
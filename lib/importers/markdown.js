@@ -0,0 +1,295 @@
+import yaml from 'js-yaml';
+import { Lexer } from 'marked';
+import { applyDirective, codeBlock } from '../outline.js';
+
+// Plain Markdown decks (reveal.js Markdown, Marp, Pandoc): optional YAML
+// front matter, then slides split at `---` rules or at headings. The heading
+// a slide starts with is its title; lists, images, code, tables, quotes and
+// paragraphs are its content. A `Note:` paragraph starts the speaker notes,
+// and HTML comments other than `<!-- key: value -->` directives are notes
+// too (as in Marp).
+
+// `rule` splits at horizontal rules, `h1`-`h3` at headings of that level or
+// above. `auto` uses rules when there are any, else the heading level (of
+// the first three) used most often, the deeper one on a tie.
+export const splitModes = ['auto', 'rule', 'h1', 'h2', 'h3'];
+
+// Front matter keys copied into the deck; `author` is the subtitle when
+// there is no `subtitle`, and a plain `timing: 5` is timing.default
+const frontMatterKeys = ['title', 'subtitle', 'theme', 'preset', 'timing', 'music', 'title_notes', 'title_background'];
+
+export function importMarkdown(text, { split = 'auto' } = {}) {
+  if (!splitModes.includes(split)) {
+    throw new Error(`Unknown split "${split}" (use ${splitModes.join(', ')})`);
+  }
+
+  const { data, body } = frontMatter(text);
+  const tokens = new Lexer({ gfm: true }).lex(body);
+  if (split === 'auto') {
+    split = autoSplit(tokens);
+  }
+  const chunks = splitTokens(tokens, split);
+
+  const deck = { title: '', subtitle: '' };
+  const first = chunks[0] && titleSlide(chunks[0], split);
+  if (first) {
+    Object.assign(deck, first);
+    chunks.shift();
+  }
+
+  for (const key of frontMatterKeys) {
+    if (data[key] !== undefined && !deck[key]) {
+      deck[key] = data[key];
+    }
+  }
+  if (deck.timing !== undefined) {
+    const timing = frontMatterTiming(deck.timing);
+    if (timing) {
+      deck.timing = timing;
+    } else {
+      console.warn(`Warning: Ignoring front matter timing: ${JSON.stringify(deck.timing)} (use seconds, or default/title/fragment/transition)`);
+      delete deck.timing;
+    }
+  }
+  if (!deck.subtitle && data.author) {
+    deck.subtitle = String(data.author);
+  }
+  const ignored = Object.keys(data).filter(key => !frontMatterKeys.includes(key) && key !== 'author');
+  if (ignored.length > 0) {
+    console.warn(`Warning: Ignoring front matter keys: ${ignored.join(', ')}`);
+  }
+
+  deck.slides = chunks.map(markdownSlide).filter(Boolean);
+  return deck;
+}
+
+// Convert a slide's Markdown tokens, and the heading that is its title, to a
+// slide. Also used for reveal.js data-markdown sections.
+export function markdownSlide({ heading, tokens, layout }) {
+  const slide = { title: heading ? heading.text.trim() : '', content: [] };
+  const notes = [];
+  let inNotes = false;
+
+  for (const token of tokens) {
+    if (inNotes) {
+      if (token.type !== 'space') notes.push(token.raw.trim());
+      continue;
+    }
+
+    switch (token.type) {
+      case 'space':
+      case 'hr':
+        break;
+      case 'heading':
+        // Headings below the title have no slide syntax of their own
+        slide.content.push({ type: 'text', text: `**${token.text.trim()}**` });
+        break;
+      case 'paragraph': {
+        const noteMatch = token.text.match(/^(?:notes?:|\?\?\?|:::\s*notes)\s*([\s\S]*)$/i);
+        if (noteMatch) {
+          inNotes = true;
+          if (noteMatch[1].trim()) notes.push(noteMatch[1].trim());
+          break;
+        }
+        slide.content.push(...paragraphContent(token));
+        break;
+      }
+      case 'list':
+        slide.content.push(listContent(token));
+        break;
+      case 'code':
+        slide.content.push(codeBlock(token.lang, token.text));
+        break;
+      case 'blockquote':
+        slide.content.push({
+          type: 'quote',
+          text: token.tokens.filter(t => t.type === 'paragraph').map(t => t.text.replace(/\s*\n\s*/g, ' ').trim()).join('\n\n')
+        });
+        break;
+      case 'table':
+        slide.content.push({
+          type: 'table',
+          align: token.align.map(align => align || 'left'),
+          header: token.header.map(cell => cell.text),
+          rows: token.rows.map(row => row.map(cell => cell.text))
+        });
+        break;
+      case 'html': {
+        const comment = token.text.trim().match(/^<!--([\s\S]*?)-->$/);
+        const directive = comment?.[1].trim().match(/^([\w-]+)\s*:\s*([^\n]*?)$/);
+        if (directive) {
+          applyDirective(slide, { key: directive[1].toLowerCase(), value: directive[2] });
+        } else if (comment) {
+          if (comment[1].trim()) notes.push(comment[1].trim());
+        } else {
+          console.warn(`Warning: Skipping HTML on slide "${slide.title}": ${token.text.trim().split('\n')[0]}`);
+        }
+        break;
+      }
+      default:
+        console.warn(`Warning: Skipping ${token.type} on slide "${slide.title}"`);
+    }
+  }
+
+  if (layout && !slide.layout) {
+    slide.layout = layout;
+  }
+
+  // Pandoc's `::: notes` block ends with a `:::` line
+  const text = notes.join('\n\n').replace(/\n*:::\s*$/, '').trim();
+  if (text) {
+    slide.notes = text;
+  }
+  if (!slide.title && slide.content.length === 0 && !slide.notes) {
+    return null;
+  }
+  return slide;
+}
+
+// Seconds per slide, or the slides.yaml `timing:` settings. Null for
+// anything else.
+function frontMatterTiming(value) {
+  if (typeof value === 'number' && value > 0) {
+    return { default: value };
+  }
+  const keys = ['default', 'title', 'fragment', 'transition'];
+  if (value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.entries(value).every(([key, seconds]) => keys.includes(key) && typeof seconds === 'number' && (key === 'transition' ? seconds >= 0 : seconds > 0))) {
+    return value;
+  }
+  return null;
+}
+
+// YAML between `---` lines at the very top. A leading `---` that isn't
+// followed by a YAML mapping is a slide rule instead.
+function frontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+  if (match) {
+    try {
+      const data = yaml.load(match[1]);
+      if (data && typeof data === 'object' && !Array.isArray(data)) {
+        return { data, body: text.slice(match[0].length) };
+      }
+    } catch (err) {
+      // Not front matter
+    }
+  }
+  return { data: {}, body: text };
+}
+
+function autoSplit(tokens) {
+  if (tokens.some(token => token.type === 'hr')) return 'rule';
+
+  const counts = {};
+  for (const token of tokens) {
+    if (token.type === 'heading') counts[token.depth] = (counts[token.depth] || 0) + 1;
+  }
+  const depth = [3, 2, 1].reduce((best, level) => (counts[level] || 0) > (counts[best] || 0) ? level : best, 3);
+  return counts[depth] ? `h${depth}` : 'rule';
+}
+
+// Group tokens into { heading, tokens } slides
+function splitTokens(tokens, split) {
+  const chunks = [];
+  let current = { heading: null, tokens: [] };
+  const flush = () => {
+    if (current.heading || current.tokens.some(token => token.type !== 'space')) {
+      chunks.push(current);
+    }
+  };
+
+  if (split === 'rule') {
+    for (const token of tokens) {
+      if (token.type === 'hr') {
+        flush();
+        current = { heading: null, tokens: [] };
+      } else if (token.type === 'heading' && !current.heading && current.tokens.every(t => t.type === 'space')) {
+        current.heading = token;
+      } else {
+        current.tokens.push(token);
+      }
+    }
+  } else {
+    const level = parseInt(split.slice(1));
+    for (const token of tokens) {
+      if (token.type === 'heading' && token.depth <= level) {
+        flush();
+        current = { heading: token, tokens: [], section: token.depth < level };
+      } else if (token.type !== 'hr') {
+        current.tokens.push(token);
+      }
+    }
+  }
+  flush();
+
+  // A heading above the split level with nothing under it is a section
+  // divider
+  for (const chunk of chunks) {
+    if (chunk.section && chunk.tokens.every(token => token.type === 'space')) {
+      chunk.layout = 'section';
+    }
+  }
+  return chunks;
+}
+
+// The first slide is the title slide when it is only a heading, with an
+// optional second heading or paragraph as subtitle. Split at headings, that
+// heading has to be above the split level (`# Talk` before `## ` slides).
+function titleSlide(chunk, split) {
+  if (split !== 'rule' && !chunk.section) return null;
+
+  const body = chunk.tokens.filter(token => token.type !== 'space');
+  const headings = [chunk.heading, ...body.filter(token => token.type === 'heading')].filter(Boolean);
+  const paragraphs = body.filter(token => token.type === 'paragraph');
+  if (headings.length === 0 || headings.length > 2 || paragraphs.length > (headings.length === 1 ? 1 : 0)) return null;
+  if (body.some(token => token.type !== 'heading' && token.type !== 'paragraph')) return null;
+
+  const subtitle = headings[1]?.text ?? paragraphs[0]?.text;
+  if (subtitle && /^(!\[|notes?:)/i.test(subtitle)) return null;
+  return { title: headings[0].text.trim(), subtitle: (subtitle || '').trim() };
+}
+
+// Images in a paragraph become image content, the rest of its text a
+// paragraph; `$$ ... $$` is math
+function paragraphContent(token) {
+  const text = token.text.trim();
+  const math = text.match(/^\$\$([\s\S]*)\$\$$/);
+  if (math) {
+    return [{ type: 'math', tex: math[1].trim() }];
+  }
+
+  const images = (token.tokens || []).filter(t => t.type === 'image');
+  const rest = images.reduce((remaining, image) => remaining.replace(image.raw, ''), text).replace(/\s*\n\s*/g, ' ').trim();
+
+  const content = [];
+  if (rest) {
+    content.push({ type: 'text', text: rest });
+  }
+  for (const image of images) {
+    content.push({ type: 'image', alt: image.text, src: image.href });
+  }
+  return content;
+}
+
+function listContent(token) {
+  const list = { type: 'bullets', items: listItems(token, 0) };
+  if (token.ordered) {
+    list.ordered = true;
+  }
+  return list;
+}
+
+function listItems(list, level) {
+  const items = [];
+  for (const item of list.items) {
+    const text = item.tokens
+      .filter(token => token.type === 'text' || token.type === 'paragraph')
+      .map(token => token.text.trim())
+      .join(' ');
+    items.push({ text, level: Math.min(level, 5) });
+    for (const nested of item.tokens.filter(token => token.type === 'list')) {
+      items.push(...listItems(nested, level + 1));
+    }
+  }
+  return items;
+}
@@ -0,0 +1,86 @@
+// PowerPoint outlines saved as plain text (Outline View, or File > Export >
+// Outline / RTF saved as text): each slide's title on an unindented line,
+// its body lines below it indented one tab (or four spaces) per level.
+// Optional "Slide 3" lines, form feeds and bullet characters (•, –, o...)
+// from other text exports are dropped, and an unindented "Notes:" line
+// starts speaker notes. A first slide with at most one body line is the
+// title slide, that line the subtitle.
+
+const slideMarker = /^(slide\s+\d+\s*[:.-]?|-{3,})\s*$/i;
+const bulletMarks = /^[•◦▪▫■□●○◆◇►▶➢✓✔\-–—*o§]\s+/;
+
+export function importPptxText(text) {
+  const slides = [];
+  let current = null;
+  let inNotes = false;
+
+  for (const raw of text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n|\f/)) {
+    const line = raw.replace(/\s+$/, '');
+    if (!line.trim()) continue;
+
+    if (slideMarker.test(line.trim())) {
+      current = null;
+      inNotes = false;
+      continue;
+    }
+
+    const indent = line.match(/^[\t ]*/)[0];
+    const level = indentLevel(indent);
+    const content = line.trim().replace(bulletMarks, '');
+
+    if (level === 0 && current && /^notes?:/i.test(content)) {
+      // Notes run to the next unindented line
+      inNotes = true;
+      const first = content.replace(/^notes?:\s*/i, '');
+      if (first) current.notes.push(first);
+    } else if (level === 0) {
+      current = { title: content, body: [], notes: [] };
+      slides.push(current);
+      inNotes = false;
+    } else if (inNotes) {
+      current.notes.push(content);
+    } else {
+      if (!current) {
+        current = { title: '', body: [], notes: [] };
+        slides.push(current);
+      }
+      current.body.push({ text: content, level: level - 1 });
+    }
+  }
+
+  const deck = { title: '', subtitle: '', slides: [] };
+  if (slides.length === 0) return deck;
+
+  if (slides[0].body.length <= 1) {
+    const first = slides.shift();
+    deck.title = first.title;
+    deck.subtitle = first.body[0]?.text || '';
+    if (first.notes.length > 0) {
+      deck.title_notes = first.notes.join('\n');
+    }
+  }
+
+  for (const { title, body, notes } of slides) {
+    const slide = { title, content: [] };
+    if (body.length > 0) {
+      // Levels start at the shallowest body line
+      const base = Math.min(...body.map(item => item.level));
+      slide.content.push({
+        type: 'bullets',
+        items: body.map(item => ({ text: item.text, level: Math.min(item.level - base, 5) }))
+      });
+    }
+    if (notes.length > 0) {
+      slide.notes = notes.join('\n');
+    }
+    deck.slides.push(slide);
+  }
+  return deck;
+}
+
+// Tabs are a level each, spaces count four to a level
+function indentLevel(indent) {
+  const tabs = (indent.match(/\t/g) || []).length;
+  const spaces = indent.length - tabs;
+  return tabs + Math.ceil(spaces / 4);
+}
@@ -0,0 +1,267 @@
+import hljs from 'highlight.js';
+import { parse } from 'node-html-parser';
+import { codeBlock } from '../outline.js';
+import { importMarkdown } from './markdown.js';
+
+// Existing reveal.js decks, including ones built by slides-factory. Every
+// <section> without nested sections is a slide (vertical stacks are
+// flattened); its first heading is the title, <aside class="notes"> the
+// speaker notes and data-background-color/-image its background.
+// data-markdown sections go through the Markdown importer. Inline formatting
+// becomes the slide text's Markdown (**bold**, *italic*, `code`, links).
+
+// Elements whose content isn't slide text
+const skipped = ['script', 'style', 'svg', 'canvas', 'iframe', 'video', 'audio', 'template', 'noscript'];
+
+export function importRevealHtml(html) {
+  const root = parse(html, { blockTextElements: { script: true, style: true, textarea: true } });
+  const container = root.querySelector('.reveal .slides') || root;
+  const sections = leafSections(container);
+  if (sections.length === 0) {
+    throw new Error('No reveal.js <section> slides found');
+  }
+
+  const deck = { title: '', subtitle: '', slides: [] };
+  sections.forEach((section, index) => {
+    if (section.hasAttribute('data-markdown')) {
+      const imported = importMarkdown(markdownSource(section), { split: 'rule' });
+      if (index === 0 && imported.title) {
+        deck.title = imported.title;
+        deck.subtitle = imported.subtitle;
+      }
+      deck.slides.push(...imported.slides);
+      return;
+    }
+
+    const slide = htmlSlide(section);
+    const title = index === 0 && titleSlide(section, slide);
+    if (title) {
+      Object.assign(deck, title);
+    } else if (slide.title || slide.content.length > 0 || slide.notes) {
+      deck.slides.push(slide);
+    }
+  });
+
+  if (!deck.title) {
+    deck.title = root.querySelector('title')?.text.trim() || '';
+  }
+  return deck;
+}
+
+// <section>s with no <section> inside, in document order
+function leafSections(node) {
+  const sections = [];
+  for (const child of node.childNodes) {
+    if (child.nodeType !== 1) continue;
+    if (child.tagName === 'SECTION') {
+      const nested = leafSections(child);
+      sections.push(...(nested.length > 0 ? nested : [child]));
+    } else {
+      sections.push(...leafSections(child));
+    }
+  }
+  return sections;
+}
+
+// data-markdown slides keep their Markdown in a <textarea data-template>
+// (or directly in the section), indented with the HTML
+function markdownSource(section) {
+  const textarea = section.querySelector('textarea');
+  const source = textarea ? textarea.rawText : section.rawText;
+  const lines = source.replace(/^\s*\n/, '').replace(/\s+$/, '').split('\n');
+  const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+  return lines.map(line => line.slice(indent)).join('\n')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// The first slide is the title slide when it has an <h1> and at most a
+// subtitle heading or paragraph besides it
+function titleSlide(section, slide) {
+  if (!section.querySelector('h1')) return null;
+  if (slide.content.length > 1 || slide.content.some(item => item.type !== 'text')) return null;
+
+  const title = { title: slide.title, subtitle: slide.content[0]?.text.replace(/^\*\*(.*)\*\*$/, '$1') || '' };
+  if (slide.notes) {
+    title.title_notes = slide.notes;
+  }
+  return title;
+}
+
+function htmlSlide(section) {
+  const slide = { title: '', content: [] };
+  const notes = [];
+
+  const walk = (node, fragment) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3) {
+        const text = child.text.replace(/\s+/g, ' ').trim();
+        if (text) slide.content.push(withFragment({ type: 'text', text }, fragment));
+        continue;
+      }
+      if (child.nodeType !== 1) continue;
+
+      const tag = child.tagName.toLowerCase();
+      const isFragment = fragment || child.classList.contains('fragment');
+      if (skipped.includes(tag)) continue;
+
+      if (tag === 'aside' && child.classList.contains('notes')) {
+        notes.push(blockText(child));
+      } else if (/^h[1-6]$/.test(tag)) {
+        const text = inlineMarkdown(child);
+        if (!slide.title) {
+          slide.title = text;
+        } else if (text) {
+          slide.content.push(withFragment({ type: 'text', text: `**${text}**` }, isFragment));
+        }
+      } else if (tag === 'p') {
+        for (const image of child.querySelectorAll('img')) {
+          slide.content.push(withFragment(imageItem(image), isFragment));
+          image.remove();
+        }
+        const text = inlineMarkdown(child, { breaks: true });
+        if (text) slide.content.push(withFragment({ type: 'text', text }, isFragment));
+      } else if (tag === 'img') {
+        slide.content.push(withFragment(imageItem(child), isFragment));
+      } else if (tag === 'ul' || tag === 'ol') {
+        const list = { type: 'bullets', items: listItems(child, 0) };
+        if (tag === 'ol') list.ordered = true;
+        slide.content.push(withFragment(list, isFragment));
+      } else if (tag === 'pre') {
+        slide.content.push(withFragment(codeItem(child), isFragment));
+      } else if (tag === 'blockquote') {
+        slide.content.push(withFragment({ type: 'quote', text: blockText(child) }, isFragment));
+      } else if (tag === 'table') {
+        slide.content.push(withFragment(tableItem(child), isFragment));
+      } else {
+        walk(child, isFragment);
+      }
+    }
+  };
+  walk(section, false);
+
+  const background = sectionBackground(section);
+  if (background) {
+    slide.background = background;
+  }
+  const text = notes.filter(Boolean).join('\n\n');
+  if (text) {
+    slide.notes = text;
+  }
+  return slide;
+}
+
+function withFragment(item, fragment) {
+  if (fragment) item.fragment = true;
+  return item;
+}
+
+function imageItem(img) {
+  return { type: 'image', alt: img.getAttribute('alt') || '', src: img.getAttribute('src') || img.getAttribute('data-src') || '' };
+}
+
+function listItems(list, level) {
+  const items = [];
+  for (const li of list.childNodes.filter(node => node.nodeType === 1 && node.tagName === 'LI')) {
+    const nested = li.childNodes.filter(node => node.nodeType === 1 && (node.tagName === 'UL' || node.tagName === 'OL'));
+    for (const child of nested) child.remove();
+
+    const item = { text: inlineMarkdown(li), level: Math.min(level, 5) };
+    if (li.classList.contains('fragment')) item.fragment = true;
+    items.push(item);
+    for (const child of nested) {
+      items.push(...listItems(child, level + 1));
+    }
+  }
+  return items;
+}
+
+// reveal.js highlight: <pre><code class="language-js" data-line-numbers="2|4-6">,
+// or a bare language class ("python"). The line-number steps become the
+// code's focus.
+function codeItem(pre) {
+  const code = pre.querySelector('code') || pre;
+  const classes = [...code.classList.values(), ...pre.classList.values()];
+  const language = classes.map(name => name.match(/^(?:language|lang)-(.+)$/)?.[1]).find(Boolean) ||
+    code.getAttribute('data-lang') ||
+    classes.find(name => name !== 'hljs' && hljs.getLanguage(name)) || '';
+  const lines = code.getAttribute('data-line-numbers');
+  const info = lines && /^[\d,|\s-]+$/.test(lines) ? `${language} {${lines}}` : language;
+  return codeBlock(info, code.text.replace(/^\n/, '').replace(/\s+$/, ''));
+}
+
+function tableItem(table) {
+  const rows = table.querySelectorAll('tr').map(row =>
+    row.childNodes.filter(cell => cell.nodeType === 1 && /^T[HD]$/.test(cell.tagName))
+  );
+  const hasHeader = rows.length > 0 && rows[0].every(cell => cell.tagName === 'TH');
+  const header = hasHeader ? rows.shift() : [];
+  const align = (header.length > 0 ? header : rows[0] || []).map(cell => {
+    const value = (cell.getAttribute('align') || cell.getAttribute('style')?.match(/text-align:\s*(\w+)/)?.[1] || 'left').toLowerCase();
+    return ['left', 'center', 'right'].includes(value) ? value : 'left';
+  });
+
+  const item = { type: 'table', align };
+  if (header.length > 0) item.header = header.map(inlineMarkdown);
+  item.rows = rows.map(row => row.map(inlineMarkdown));
+  return item;
+}
+
+// The reveal data-background-* attributes as a background: setting
+function sectionBackground(section) {
+  const settings = {};
+  for (const key of ['color', 'gradient', 'image', 'size', 'position', 'repeat', 'opacity', 'video']) {
+    const value = section.getAttribute(`data-background-${key}`) ?? (key === 'color' ? section.getAttribute('data-background') : undefined);
+    if (value !== undefined && value !== '') {
+      settings[key] = key === 'opacity' ? parseFloat(value) : value;
+    }
+  }
+  const keys = Object.keys(settings);
+  if (keys.length === 0) return null;
+  if (keys.length === 1 && (settings.color || settings.gradient || settings.image)) {
+    return settings[keys[0]];
+  }
+  return settings;
+}
+
+// Paragraphs of an element's text, for notes and quotes
+function blockText(node) {
+  const paragraphs = node.querySelectorAll('p');
+  if (paragraphs.length > 0) {
+    return paragraphs.map(p => inlineMarkdown(p, { breaks: true })).filter(Boolean).join('\n\n');
+  }
+  return node.text.split(/\n\s*\n/).map(text => text.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n\n');
+}
+
+// An element's text, with inline formatting as Markdown. <br>s are kept as
+// newlines with `breaks`, spaces otherwise.
+function inlineMarkdown(node, { breaks = false } = {}) {
+  const convert = current => current.childNodes.map(child => {
+    if (child.nodeType === 3) return child.text.replace(/\s+/g, ' ');
+    if (child.nodeType !== 1) return '';
+
+    const inner = convert(child);
+    switch (child.tagName) {
+      case 'STRONG':
+      case 'B':
+        return inner.trim() ? `**${inner.trim()}**` : inner;
+      case 'EM':
+      case 'I':
+        return inner.trim() ? `*${inner.trim()}*` : inner;
+      case 'DEL':
+      case 'S':
+        return inner.trim() ? `~~${inner.trim()}~~` : inner;
+      case 'CODE':
+        return `\`${child.text}\``;
+      case 'A': {
+        const href = child.getAttribute('href');
+        return href ? `[${inner.trim()}](${href})` : inner;
+      }
+      case 'BR':
+        return breaks ? '\n' : ' ';
+      default:
+        return skipped.includes(child.tagName.toLowerCase()) ? '' : inner;
+    }
+  }).join('');
+
+  return convert(node).replace(/[^\S\n]+/g, ' ').replace(/ *\n */g, '\n').trim();
+}
@@ -0,0 +1,327 @@
+// Types for the Node API in index.js. The deck shape mirrors
+// slides.schema.json.
+
+export type Text = string | number;
+
+// true for the default fragment style, or a reveal.js fragment class
+export type Fragment = boolean | string;
+
+export type Background = string | {
+  color?: string;
+  gradient?: string;
+  image?: string;
+  size?: string;
+  position?: string;
+  repeat?: string;
+  opacity?: number;
+  video?: string;
+  'video-loop'?: boolean;
+  'video-muted'?: boolean;
+};
+
+interface Step {
+  fragment?: Fragment;
+  timing?: number;
+}
+
+export interface Bullet extends Step {
+  text: Text;
+  level?: number;
+}
+
+export interface BulletsItem extends Step {
+  type: 'bullets';
+  ordered?: boolean;
+  items: Bullet[];
+}
+
+export interface TextItem extends Step {
+  type: 'text';
+  text: Text;
+}
+
+export interface QuoteItem extends Step {
+  type: 'quote';
+  text: Text;
+}
+
+export interface TableItem extends Step {
+  type: 'table';
+  header?: Text[];
+  rows?: Text[][];
+  align?: Array<'left' | 'center' | 'right'>;
+}
+
+export interface ImageItem extends Step {
+  type: 'image';
+  src: string;
+  alt?: Text;
+  width?: number | string;
+  height?: number | string;
+}
+
+export interface CodeItem extends Step {
+  type: 'code';
+  code: Text;
+  language?: string;
+  focus?: string | number;
+}
+
+export interface DiagramItem extends Step {
+  type: 'diagram';
+  engine: 'mermaid' | 'dot';
+  source: string;
+}
+
+export interface MathItem extends Step {
+  type: 'math';
+  tex: Text;
+}
+
+export interface ColumnBreakItem {
+  type: 'column-break';
+}
+
+export type ContentItem =
+  | BulletsItem
+  | TextItem
+  | QuoteItem
+  | TableItem
+  | ImageItem
+  | CodeItem
+  | DiagramItem
+  | MathItem
+  | ColumnBreakItem;
+
+export type Layout = 'two-column' | 'image-left' | 'image-right' | 'full-bleed' | 'big-number' | 'quote' | 'section';
+
+export interface Slide {
+  title?: Text;
+  id?: string | number;
+  layout?: Layout;
+  build?: Fragment;
+  preset?: string;
+  timing?: number;
+  audio?: string;
+  caption?: Text;
+  background?: Background;
+  notes?: Text;
+  content?: ContentItem[];
+}
+
+export interface Timing {
+  default?: number;
+  transition?: number;
+  title?: number;
+  fragment?: number;
+}
+
+// The contents of slides.yaml
+export interface Deck {
+  title?: Text;
+  subtitle?: Text;
+  theme?: string;
+  preset?: string;
+  timing?: Timing;
+  title_notes?: Text;
+  title_timing?: number;
+  title_audio?: string;
+  title_caption?: Text;
+  title_background?: Background;
+  music?: string | { src: string; volume?: number };
+  slides?: Slide[];
+}
+
+export interface Branding {
+  logo?: string;
+  logo_position?: 'top-right' | 'top-left' | 'bottom-right' | 'bottom-left';
+  footer?: string;
+  slide_numbers?: boolean | 'c/t' | 'c' | 'h/v' | 'h.v';
+}
+
+// Images larger than max_width x max_height are scaled down and re-encoded
+export interface Images {
+  // false copies images as they are
+  optimize: boolean;
+  // Default to video.width and video.height
+  max_width?: number;
+  max_height?: number;
+  format: 'webp' | 'avif' | 'jpeg' | 'png' | 'original';
+  quality: number;
+}
+
+// The resolved config.yaml layers (see loadConfig)
+export interface Config {
+  theme: string;
+  transition: string;
+  timing: Required<Omit<Timing, 'title'>> & { title?: number };
+  video: { width: number; height: number; fps: number; format: string };
+  formatting: {
+    keyword_style: 'bold-accent' | 'underline' | 'highlight-bg';
+    metric_style: 'large-number' | 'badge' | 'highlight-bg';
+  };
+  branding?: Branding;
+  images: Images;
+  preset?: string;
+  [key: string]: unknown;
+}
+
+export interface LoadConfigOptions {
+  // theme and timing keys from slides.yaml
+  content?: Deck;
+  // Highest-priority values, e.g. from command-line flags
+  overrides?: Record<string, unknown>;
+}
+
+export interface BuildOptions {
+  // Image, audio and theme paths resolve against this file (default slides.yaml)
+  contentPath?: string;
+  // Paths in the HTML are written relative to this file (default
+  // slides.html), and images are copied to a <name>-assets/ folder next to it
+  outputPath?: string;
+  // Embed reveal.js, the theme and images in the HTML
+  standalone?: boolean;
+  // Filled with the local files the HTML is made from (theme CSS, images,
+  // audio, logo)
+  inputs?: Set<string>;
+}
+
+export interface RenderOptions {
+  // Defaults to the input with a .mp4 extension
+  output?: string;
+  // Defaults to loadConfig() for the HTML file's folder
+  config?: Config;
+  // Write .srt and .vtt files next to the video (default true)
+  subtitles?: boolean;
+  burnSubtitles?: boolean;
+  log?: (message: string) => void;
+}
+
+export interface RenderResult {
+  output: string;
+  // Seconds
+  duration: number;
+  // Stills captured; static holds are a single still
+  frames: number;
+  slides: Array<{ title: string; start: number; duration: number }>;
+  // .srt and .vtt paths written, if any
+  subtitles: string[];
+  // The HTML and audio files the video was made from
+  inputs: string[];
+}
+
+export interface ExportOptions {
+  format?: 'pdf' | 'png';
+  // PDF file or PNG folder; defaults to next to the input
+  output?: string;
+  pageSize?: 'slide' | 'a4' | 'letter';
+  // Print speaker notes under each slide (PDF)
+  notes?: boolean;
+  // PNG size
+  width?: number;
+  height?: number;
+  log?: (message: string) => void;
+}
+
+export interface ExportResult {
+  output: string;
+  format: 'pdf' | 'png';
+  files: string[];
+}
+
+export interface ManifestEntry {
+  hash: string;
+  tools: Record<string, string>;
+  options: Record<string, unknown>;
+  config: Record<string, unknown>;
+  // Input path relative to the manifest -> content hash
+  inputs: Record<string, string>;
+}
+
+export interface Manifest {
+  // Keyed by output file name (slides.html, slides.mp4)
+  outputs: Record<string, ManifestEntry>;
+}
+
+export interface OutputCheck {
+  // unrecorded: the output has no manifest entry
+  status: 'up to date' | 'stale' | 'missing' | 'unrecorded';
+  reasons: string[];
+}
+
+export interface DeckError {
+  file: string;
+  // null for a deck object rather than YAML source
+  line: number | null;
+  column: number | null;
+  message: string;
+}
+
+export interface MergeConflict {
+  // The slide's title, else its id or "#<position>"
+  slide: string | number;
+  // The key that differs; 'content' for dropped items, null for a dropped slide
+  field: string | null;
+  message: string;
+}
+
+export class ValidationError extends Error {
+  name: 'ValidationError';
+  errors: DeckError[];
+  constructor(errors: DeckError[]);
+}
+
+export function parseOutline(text: string): Deck;
+// Rewrite image paths relative to fromDir as relative to toDir, in place
+export function rebaseImages(deck: Deck, fromDir: string, toDir: string): Deck;
+export function toYaml(deck: Deck): string;
+export function toOutline(deck: Deck): string;
+export function mergeDecks(parsed: Deck, existing: unknown): { deck: Deck; conflicts: MergeConflict[] };
+
+export type ImportFormat = 'outline' | 'markdown' | 'reveal-html' | 'pptx-text' | 'google-slides';
+
+export interface ImportOptions {
+  // Default outline
+  from?: ImportFormat | string;
+  // markdown: split slides at rules, at headings of a level, or pick one
+  split?: 'auto' | 'rule' | 'h1' | 'h2' | 'h3';
+  [key: string]: unknown;
+}
+
+// Parse a slide source to the structure parseOutline returns
+export function importDeck(text: string, options?: ImportOptions): Deck;
+// The format for a file by its extension, outline when unknown
+export function detectFormat(file: string): string;
+export function importFormats(): string[];
+export function registerImporter(
+  name: string,
+  parse: (text: string, options: Record<string, unknown>) => Deck,
+  options?: { extensions?: string[] }
+): void;
+
+export const defaults: Config;
+// Throws when preferences.yaml or a config.yaml is malformed
+export function loadConfig(presentationDir?: string, options?: LoadConfigOptions): Config;
+
+export function validateDeck(source: string | Deck, options?: { file?: string }): DeckError[];
+export function formatError(error: DeckError): string;
+
+// Throws ValidationError for a deck that doesn't match the schema
+export function buildHtml(deck: Deck, config?: Config | null, options?: BuildOptions): Promise<string>;
+export function renderVideo(htmlPath: string, options?: RenderOptions): Promise<RenderResult>;
+export function exportDeck(htmlPath: string, options?: ExportOptions): Promise<ExportResult>;
+
+export function sourceFiles(contentPath: string): string[];
+export function renderSettings(config: Config): Pick<Config, 'video' | 'timing'>;
+export function writeManifest(outputPath: string, entry: {
+  inputs?: Iterable<string>;
+  config?: object;
+  options?: Record<string, unknown>;
+  // Tools besides slides-factory whose version matters: 'reveal.js', 'ffmpeg'
+  tools?: string[];
+}): string;
+export function readManifest(outputPath: string): Manifest | null;
+export function checkOutput(outputPath: string, options?: { config?: object }): OutputCheck;
+
+export function listThemes(presentationDir?: string): string[];
+export function loadTheme(name: string, options?: { presentationDir?: string; inline?: boolean }): string;
@@ -0,0 +1,14 @@
+// Node API for the parse -> build -> render pipeline. The bin/ scripts are
+// thin command-line wrappers around these; functions here throw instead of
+// exiting. Types are in index.d.ts.
+
+export { parseOutline, rebaseImages, toYaml, toOutline } from './outline.js';
+export { mergeDecks } from './merge.js';
+export { detectFormat, importDeck, importFormats, registerImporter } from './importers/index.js';
+export { loadConfig, defaults } from './config.js';
+export { validateDeck, formatError, ValidationError } from './validate.js';
+export { buildHtml } from './build.js';
+export { renderVideo } from './render.js';
+export { exportDeck } from './export.js';
+export { checkOutput, readManifest, renderSettings, sourceFiles, writeManifest } from './manifest.js';
+export { listThemes, loadTheme } from './themes.js';
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+export const mimeTypes = {
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+// Directory of the installed reveal.js package
+export function revealDir() {
+  return path.dirname(require.resolve('reveal.js/package.json'));
+}
+
+// reveal.js release that non-standalone HTML loads from the CDN
+export const revealCdnVersion = '5.1.0';
+
+export function revealVersion() {
+  return require('reveal.js/package.json').version;
+}
+
+export function toDataUri(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const mime = mimeTypes[ext] || 'application/octet-stream';
+  const data = fs.readFileSync(filePath).toString('base64');
+  return `data:${mime};base64,${data}`;
+}
+
+export function isRemote(src) {
+  return /^(https?:)?\/\//i.test(src);
+}
+
+// Read a CSS file and inline its @imports and url() references so it no
+// longer depends on files next to it
+export function inlineCssFile(filePath) {
+  return inlineCss(fs.readFileSync(filePath, 'utf-8'), path.dirname(filePath));
+}
+
+export function inlineCss(css, baseDir) {
+  const withImports = css.replace(
+    /@import\s+(?:url\()?\s*['"]?([^'")\s]+)['"]?\s*\)?\s*;/g,
+    (match, ref) => {
+      if (isRemote(ref) || ref.startsWith('data:')) return match;
+      const importPath = path.resolve(baseDir, ref);
+      if (!fs.existsSync(importPath)) return match;
+      return inlineCssFile(importPath);
+    }
+  );
+
+  return trimFontSources(withImports).replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, ref) => {
+    if (isRemote(ref) || ref.startsWith('data:') || ref.startsWith('#')) return match;
+    const assetPath = path.resolve(baseDir, ref.replace(/[?#].*$/, ''));
+    if (!fs.existsSync(assetPath)) return match;
+    return `url("${toDataUri(assetPath)}")`;
+  });
+}
+
+// Every browser that can run reveal.js reads WOFF, so @font-face rules keep
+// only their woff/woff2 sources. Embedding the legacy eot/ttf copies as well
+// would triple the size of the page for nothing.
+function trimFontSources(css) {
+  return css.replace(/@font-face\s*\{[^}]*\}/g, rule => {
+    if (!/format\(['"]?woff2?['"]?\)/.test(rule)) return rule;
+
+    return rule.replace(/\bsrc\s*:([^;]+);/g, (decl, value) => {
+      const woff = value
+        .split(',')
+        .map(source => source.trim())
+        .filter(source => /format\(['"]?woff2?['"]?\)/.test(source));
+      return woff.length > 0 ? `src: ${woff.join(', ')};` : '';
+    });
+  });
+}
+
+// Read a script for embedding in an inline <script> element
+export function inlineScriptFile(filePath) {
+  return fs.readFileSync(filePath, 'utf-8').replace(/<\/script/gi, '<\\/script');
+}
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { configFiles, projectRoot } from './config.js';
+import { revealCdnVersion, revealVersion } from './inline.js';
+
+// Build manifests record what an output was made from: a content hash of
+// every input file, the tool versions and the effective config. slides.html
+// and slides.mp4 share slides.manifest.json next to them, one entry per
+// output file. checkOutput compares an output against its entry to tell
+// whether it is stale.
+
+const { version } = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf-8'));
+
+export function manifestPath(outputPath) {
+  const resolved = path.resolve(outputPath);
+  return path.join(path.dirname(resolved), `${path.basename(resolved, path.extname(resolved))}.manifest.json`);
+}
+
+// The files a build or render of contentPath reads besides the ones it
+// reports itself: the YAML, the outline it was parsed from and the config
+// layers
+export function sourceFiles(contentPath) {
+  const contentDir = path.dirname(path.resolve(contentPath));
+  const files = [path.resolve(contentPath), ...configFiles(contentDir)];
+  const outline = path.join(contentDir, 'outline.txt');
+  if (fs.existsSync(outline)) {
+    files.push(outline);
+  }
+  return files;
+}
+
+// The part of the config a render depends on, recorded for slides.mp4
+export function renderSettings(config) {
+  return { video: config.video, timing: config.timing };
+}
+
+// Record how outputPath was made. `tools` names the tools whose version
+// matters for this output besides slides-factory (reveal.js, ffmpeg).
+export function writeManifest(outputPath, { inputs = [], config, options = {}, tools = [] }) {
+  const file = manifestPath(outputPath);
+  const dir = path.dirname(file);
+  const manifest = readManifest(outputPath) || { outputs: {} };
+
+  const hashes = {};
+  for (const input of [...new Set([...inputs].map(input => path.resolve(input)))]) {
+    if (fs.existsSync(input)) {
+      hashes[relativePath(dir, input)] = hashFile(input);
+    }
+  }
+
+  manifest.outputs[path.basename(outputPath)] = {
+    hash: hashFile(outputPath),
+    tools: toolVersions(['slides-factory', ...tools], options),
+    options,
+    config: sortKeys(config),
+    inputs: sortKeys(hashes)
+  };
+  manifest.outputs = sortKeys(manifest.outputs);
+
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+  return file;
+}
+
+export function readManifest(outputPath) {
+  const file = manifestPath(outputPath);
+  if (!fs.existsSync(file)) return null;
+  try {
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return manifest && typeof manifest.outputs === 'object' ? manifest : null;
+  } catch (err) {
+    console.warn(`Warning: Could not read ${path.relative(process.cwd(), file)}, ignoring it`);
+    return null;
+  }
+}
+
+// Whether outputPath still matches what it was made from. `config` is the
+// config it would be made with now, in the shape that was recorded. Returns
+// { status, reasons }: status is "up to date", "stale", "missing" (no output
+// yet) or "unrecorded" (no manifest entry, e.g. built before manifests).
+export function checkOutput(outputPath, { config } = {}) {
+  if (!fs.existsSync(outputPath)) {
+    return { status: 'missing', reasons: [] };
+  }
+
+  const entry = readManifest(outputPath)?.outputs?.[path.basename(outputPath)];
+  if (!entry) {
+    return { status: 'unrecorded', reasons: ['no manifest entry'] };
+  }
+
+  const dir = path.dirname(manifestPath(outputPath));
+  const reasons = [];
+
+  if (hashFile(outputPath) !== entry.hash) {
+    reasons.push(`${path.basename(outputPath)} changed since it was made`);
+  }
+
+  for (const [input, hash] of Object.entries(entry.inputs || {})) {
+    const file = path.resolve(dir, input);
+    if (!fs.existsSync(file)) {
+      reasons.push(`${input} removed`);
+    } else if (hashFile(file) !== hash) {
+      reasons.push(`${input} changed`);
+    }
+  }
+
+  const tools = entry.tools || {};
+  const current = toolVersions(Object.keys(tools), entry.options);
+  for (const [tool, was] of Object.entries(tools)) {
+    if (current[tool] !== was) {
+      reasons.push(`${tool} ${was} -> ${current[tool]}`);
+    }
+  }
+
+  if (config !== undefined) {
+    const changed = changedKeys(entry.config, JSON.parse(JSON.stringify(config)));
+    if (changed.length > 0) {
+      reasons.push(`config changed (${changed.join(', ')})`);
+    }
+  }
+
+  return { status: reasons.length > 0 ? 'stale' : 'up to date', reasons };
+}
+
+// A checkOutput result as text: "slides.html: stale" and a line per reason
+export function formatCheck(outputPath, { status, reasons }) {
+  return [`${outputPath}: ${status}`, ...reasons.map(reason => `  ${reason}`)].join('\n');
+}
+
+export function hashFile(file) {
+  const hash = crypto.createHash('sha256');
+  const buffer = Buffer.alloc(1024 * 1024);
+  const fd = fs.openSync(file, 'r');
+  try {
+    let bytes;
+    while ((bytes = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, bytes));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return `sha256-${hash.digest('hex')}`;
+}
+
+function toolVersions(names, options = {}) {
+  const versions = {};
+  for (const name of names) {
+    if (name === 'slides-factory') {
+      versions[name] = version;
+    } else if (name === 'reveal.js') {
+      versions[name] = options.standalone ? revealVersion() : revealCdnVersion;
+    } else if (name === 'ffmpeg') {
+      versions[name] = ffmpegVersion();
+    }
+  }
+  return versions;
+}
+
+function ffmpegVersion() {
+  try {
+    const output = execFileSync('ffmpeg', ['-version'], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
+    return output.match(/^ffmpeg version (\S+)/)?.[1] || 'unknown';
+  } catch (err) {
+    return 'not installed';
+  }
+}
+
+// Top-level config keys whose values differ
+function changedKeys(before = {}, after = {}) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(key =>
+    JSON.stringify(sortKeys(before[key])) !== JSON.stringify(sortKeys(after[key]))
+  ).sort();
+}
+
+// Objects with their keys in order, so manifests are byte-for-byte the
+// same for the same build
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value === null || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => [key, sortKeys(value[key])])
+  );
+}
+
+function relativePath(from, to) {
+  return path.relative(from, to).split(path.sep).join('/');
+}
@@ -0,0 +1,164 @@
+// Merge a freshly parsed outline into an existing slides.yaml so hand edits
+// survive re-parsing. The outline owns what it can express (titles, content,
+// notes, directives, `+` fragments, numbered lists): those keys are dropped
+// when the outline no longer sets them. Everything else in the YAML (timing,
+// audio, captions, extra image attributes...) is kept.
+//
+// Slides are matched by `id`, then by title. The outline always owns titles
+// and content text. For other fields both sides can set (notes, build,
+// layout...), the outline wins and a conflict is reported.
+
+export function mergeDecks(parsed, existing) {
+  const conflicts = [];
+
+  if (!isPlainObject(existing)) {
+    return { deck: parsed, conflicts };
+  }
+
+  const deck = {};
+  for (const [key, value] of Object.entries(parsed)) {
+    if (key !== 'slides') deck[key] = value;
+  }
+  for (const [key, value] of Object.entries(existing)) {
+    if (!outlineDeckKeys.includes(key) && !(key in parsed)) deck[key] = value;
+  }
+
+  const existingSlides = Array.isArray(existing.slides) ? existing.slides : [];
+  const used = new Set();
+
+  deck.slides = (parsed.slides || []).map(slide => {
+    const match = findSlide(slide, existingSlides, used);
+    if (match === -1) {
+      return slide;
+    }
+    used.add(match);
+    return mergeSlide(slide, existingSlides[match], conflicts);
+  });
+
+  existingSlides.forEach((slide, index) => {
+    if (!used.has(index) && hasYamlOnlyFields(slide)) {
+      conflicts.push({
+        slide: slide.title || slide.id || `#${index + 1}`,
+        field: null,
+        message: 'slide is no longer in the outline; its YAML-only edits were dropped'
+      });
+    }
+  });
+
+  return { deck, conflicts };
+}
+
+function findSlide(slide, candidates, used) {
+  if (slide.id) {
+    const byId = candidates.findIndex((c, i) => !used.has(i) && c.id === slide.id);
+    if (byId !== -1) return byId;
+  }
+  if (slide.title) {
+    return candidates.findIndex((c, i) =>
+      !used.has(i) && c.title === slide.title && (!c.id || !slide.id || c.id === slide.id)
+    );
+  }
+  return -1;
+}
+
+function mergeSlide(parsed, existing, conflicts) {
+  const slide = { ...parsed };
+
+  for (const [key, value] of Object.entries(existing)) {
+    if (!(key in parsed)) {
+      if (!outlineSlideKeys.includes(key)) slide[key] = value;
+      continue;
+    }
+    if (key === 'content') {
+      slide.content = mergeContent(parsed.content, value, parsed.title || parsed.id, conflicts);
+      continue;
+    }
+    if (key !== 'title' && !sameValue(parsed[key], value)) {
+      conflicts.push({
+        slide: parsed.title || parsed.id,
+        field: key,
+        message: `${key} differs between outline and slides.yaml; using the outline`
+      });
+    }
+  }
+
+  return slide;
+}
+
+// Content blocks match by position and type, bullet items by text (then
+// position). Keys only the YAML has, e.g. an image's width or a bullet's
+// timing, carry over to the matched item; an item left unmatched loses
+// them, with a warning.
+function mergeContent(parsed, existing, slideName, conflicts) {
+  if (!Array.isArray(parsed) || !Array.isArray(existing)) return parsed;
+
+  const dropped = (item, what, outlineKeys) => {
+    const keys = yamlOnlyKeys(item, outlineKeys);
+    if (keys.length > 0) {
+      conflicts.push({
+        slide: slideName,
+        field: 'content',
+        message: `${what} no longer matches the outline; dropped its ${keys.join(', ')}`
+      });
+    }
+  };
+
+  const merged = parsed.map((item, index) => {
+    const match = existing[index];
+    if (!isPlainObject(match) || match.type !== item.type) return item;
+
+    const result = keepExtraKeys(item, match, outlineItemKeys);
+    if (item.type === 'bullets' && Array.isArray(item.items) && Array.isArray(match.items)) {
+      const used = new Set();
+      result.items = item.items.map((bullet, i) => {
+        let found = match.items.findIndex((b, j) => !used.has(j) && b.text === bullet.text);
+        if (found === -1 && !used.has(i) && match.items[i]) found = i;
+        if (found === -1) return bullet;
+        used.add(found);
+        return keepExtraKeys(bullet, match.items[found], outlineBulletKeys);
+      });
+      match.items.forEach((bullet, j) => {
+        if (!used.has(j)) dropped(bullet, `bullet "${bullet?.text}"`, outlineBulletKeys);
+      });
+    }
+    return result;
+  });
+
+  existing.forEach((item, index) => {
+    if (parsed[index]?.type !== item?.type) dropped(item, `${item?.type || 'content'} item ${index + 1}`, outlineItemKeys);
+  });
+  return merged;
+}
+
+function keepExtraKeys(parsed, existing, outlineKeys) {
+  const result = { ...parsed };
+  for (const [key, value] of Object.entries(existing)) {
+    if (!(key in parsed) && !outlineKeys.includes(key)) result[key] = value;
+  }
+  return result;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Keys the outline syntax can express
+const outlineDeckKeys = ['title', 'subtitle', 'title_notes', 'slides'];
+const outlineSlideKeys = ['title', 'content', 'notes', 'id', 'build', 'preset', 'layout'];
+const outlineItemKeys = [
+  'type', 'text', 'items', 'ordered', 'alt', 'src', 'align', 'header', 'rows',
+  'language', 'code', 'focus', 'engine', 'source', 'tex'
+];
+const outlineBulletKeys = ['text', 'level', 'fragment'];
+
+function yamlOnlyKeys(value, outlineKeys) {
+  return isPlainObject(value) ? Object.keys(value).filter(key => !outlineKeys.includes(key)) : [];
+}
+
+function hasYamlOnlyFields(slide) {
+  return yamlOnlyKeys(slide, outlineSlideKeys).length > 0;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
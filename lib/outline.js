@@ -0,0 +1,482 @@
+import path from 'path';
+import yaml from 'js-yaml';
+
+// Plain text outline <-> slides.yaml structure. Slides are separated by
+// `---` lines; see docs/user-guide.md for the syntax.
+
+export function toYaml(deck) {
+  return yaml.dump(deck, {
+    lineWidth: -1,
+    quotingType: '"',
+    forceQuotes: false
+  });
+}
+
+// Image paths are relative to the file they are written in. Rewrite a
+// deck's local image paths from relative to fromDir to relative to toDir,
+// for when the outline and the YAML are in different folders. Changes the
+// deck in place and returns it.
+export function rebaseImages(deck, fromDir, toDir) {
+  if (path.resolve(fromDir) === path.resolve(toDir)) return deck;
+
+  for (const slide of deck.slides || []) {
+    for (const item of slide.content || []) {
+      if (item.type !== 'image' || !item.src || /^([a-z][a-z0-9+.-]*:|\/)/i.test(item.src)) continue;
+      item.src = path.relative(path.resolve(toDir), path.resolve(fromDir, item.src)).split(path.sep).join('/');
+    }
+  }
+  return deck;
+}
+
+export function parseOutline(text) {
+  const result = {
+    title: '',
+    subtitle: '',
+    slides: []
+  };
+
+  // Split into slide blocks by ---
+  const blocks = text.split(/^---$/m).map(b => b.trim()).filter(Boolean);
+
+  if (blocks.length === 0) {
+    return result;
+  }
+
+  // First block might be title slide
+  const { body: firstBlock, notes: titleNotes } = splitNotes(blocks[0]);
+  const titleMatch = firstBlock.match(/^#\s+(.+)$/m);
+  const subtitleMatch = firstBlock.match(/^##\s+(.+)$/m);
+
+  if (titleMatch) {
+    result.title = titleMatch[1].trim();
+  }
+  if (subtitleMatch) {
+    result.subtitle = subtitleMatch[1].trim();
+  }
+
+  // Check if first block is just title/subtitle
+  const firstBlockLines = firstBlock.split('\n').filter(l => l.trim());
+  const isTitleOnly = firstBlockLines.every(line =>
+    line.match(/^#{1,2}\s+/) || line.trim() === ''
+  );
+
+  if (isTitleOnly && titleNotes) {
+    result.title_notes = titleNotes;
+  }
+
+  const slideBlocks = isTitleOnly ? blocks.slice(1) : blocks;
+
+  // Parse each slide block
+  for (const block of slideBlocks) {
+    const slide = parseSlideBlock(block);
+    if (slide) {
+      result.slides.push(slide);
+    }
+  }
+
+  return result;
+}
+
+// Split speaker notes off a block. Notes start at a `Note:` line
+// (text may follow on the same line) or a `???` divider.
+function splitNotes(block) {
+  const lines = block.split('\n');
+  let start = -1;
+  let inCode = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (trimmed.startsWith('```')) {
+      inCode = !inCode;
+    } else if (!inCode && (trimmed === '???' || /^notes?:/i.test(trimmed))) {
+      start = i;
+      break;
+    }
+  }
+
+  if (start === -1) {
+    return { body: block, notes: '' };
+  }
+
+  const first = lines[start].trim().replace(/^(\?\?\?|notes?:)/i, '').trim();
+  const notes = [first, ...lines.slice(start + 1)].join('\n').trim();
+
+  return {
+    body: lines.slice(0, start).join('\n').trim(),
+    notes
+  };
+}
+
+// Pull `<!-- key: value -->` directive lines out of a block
+function extractDirectives(block) {
+  const directives = [];
+  const lines = [];
+  let inCode = false;
+
+  for (const line of block.split('\n')) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('```')) {
+      inCode = !inCode;
+    }
+    const match = !inCode && trimmed.match(/^<!--\s*([\w-]+)\s*:\s*(.*?)\s*-->$/);
+    if (match) {
+      directives.push({ key: match[1].toLowerCase(), value: match[2] });
+    } else {
+      lines.push(line);
+    }
+  }
+
+  return { body: lines.join('\n'), directives };
+}
+
+// Apply a `<!-- key: value -->` directive to a slide
+export function applyDirective(slide, { key, value }) {
+  switch (key) {
+    case 'build':
+      // `true` reveals every item, a style name (fade-up, highlight-red...)
+      // also picks the fragment animation
+      if (/^(true|yes)$/i.test(value)) {
+        slide.build = true;
+      } else if (/^[a-z][a-z-]*$/.test(value)) {
+        slide.build = value;
+      } else {
+        console.warn(`Warning: Invalid build style "${value}" on slide "${slide.title}"`);
+      }
+      break;
+    case 'id':
+      slide.id = value;
+      break;
+    case 'layout':
+      slide.layout = value;
+      break;
+    case 'preset':
+      slide.preset = value;
+      break;
+    default:
+      console.warn(`Warning: Unknown directive "${key}" on slide "${slide.title}"`);
+  }
+}
+
+function parseSlideBlock(block) {
+  const { body: withDirectives, notes } = splitNotes(block);
+  const { body, directives } = extractDirectives(withDirectives);
+  const lines = body.split('\n');
+  const slide = {
+    title: '',
+    content: []
+  };
+
+  let i = 0;
+
+  // Find title (# heading)
+  while (i < lines.length) {
+    const line = lines[i].trim();
+    if (line.match(/^#\s+(.+)$/)) {
+      slide.title = line.replace(/^#\s+/, '').trim();
+      i++;
+      break;
+    } else if (line) {
+      // Non-empty line that's not a title
+      break;
+    }
+    i++;
+  }
+
+  // Parse content
+  let currentBullets = [];
+  let currentOrdered = false;
+
+  const flushBullets = () => {
+    if (currentBullets.length > 0) {
+      const list = { type: 'bullets', items: currentBullets };
+      if (currentOrdered) {
+        list.ordered = true;
+      }
+      slide.content.push(list);
+      currentBullets = [];
+    }
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    // Skip empty lines between content
+    if (!trimmed) {
+      flushBullets();
+      i++;
+      continue;
+    }
+
+    // Check for image
+    const imageMatch = trimmed.match(/^!\[([^\]]*)\]\(([^)]+)\)$/);
+    if (imageMatch) {
+      flushBullets();
+      slide.content.push({
+        type: 'image',
+        alt: imageMatch[1],
+        src: imageMatch[2]
+      });
+      i++;
+      continue;
+    }
+
+    // Column break for the two-column layout
+    if (trimmed === '|||') {
+      flushBullets();
+      slide.content.push({ type: 'column-break' });
+      i++;
+      continue;
+    }
+
+    // Check for table: a `|` row followed by a `|---|:---:|` separator
+    if (trimmed.startsWith('|') && i + 1 < lines.length && isTableSeparator(lines[i + 1])) {
+      flushBullets();
+      const header = splitTableRow(trimmed);
+      const align = splitTableRow(lines[i + 1].trim()).map(cell => {
+        if (/^:-+:$/.test(cell)) return 'center';
+        if (/^-+:$/.test(cell)) return 'right';
+        return 'left';
+      });
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim().startsWith('|')) {
+        const cells = splitTableRow(lines[i].trim());
+        rows.push(header.map((_, col) => cells[col] ?? ''));
+        i++;
+      }
+      slide.content.push({
+        type: 'table',
+        align: header.map((_, col) => align[col] || 'left'),
+        header,
+        rows
+      });
+      continue;
+    }
+
+    // Check for blockquote; `>` on its own starts a new paragraph
+    if (trimmed.startsWith('>')) {
+      flushBullets();
+      const paragraphs = [[]];
+      while (i < lines.length && lines[i].trim().startsWith('>')) {
+        const text = lines[i].trim().replace(/^>\s?/, '').trim();
+        if (text) {
+          paragraphs[paragraphs.length - 1].push(text);
+        } else {
+          paragraphs.push([]);
+        }
+        i++;
+      }
+      slide.content.push({
+        type: 'quote',
+        text: paragraphs.filter(p => p.length > 0).map(p => p.join(' ')).join('\n\n')
+      });
+      continue;
+    }
+
+    // Check for bullet point (`+` marks a fragment, revealed one at a time)
+    // or numbered item (`1.` or `1)`). A top-level item of the other kind
+    // starts a new list.
+    const bulletMatch = line.match(/^(\s*)([-*+]|\d{1,3}[.)])\s+(.+)$/);
+    if (bulletMatch) {
+      const indent = bulletMatch[1].length;
+      const numbered = /^\d/.test(bulletMatch[2]);
+      const item = {
+        text: bulletMatch[3].trim(),
+        level: Math.floor(indent / 2)
+      };
+      if (bulletMatch[2] === '+') {
+        item.fragment = true;
+      }
+      if (item.level === 0 && currentBullets.length > 0 && numbered !== currentOrdered) {
+        flushBullets();
+      }
+      if (currentBullets.length === 0) {
+        currentOrdered = numbered;
+      }
+      currentBullets.push(item);
+      i++;
+      continue;
+    }
+
+    // Check for code block; ```js {2,4-6} focuses lines, {2|4-6} steps
+    if (trimmed.startsWith('```')) {
+      flushBullets();
+      const info = trimmed.slice(3);
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith('```')) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      i++;
+      slide.content.push(codeBlock(info, codeLines.join('\n')));
+      continue;
+    }
+
+    // Check for math: `$$ ... $$` on one line, or between `$$` lines
+    if (trimmed.startsWith('$$')) {
+      flushBullets();
+      let tex;
+      if (trimmed.length > 4 && trimmed.endsWith('$$')) {
+        tex = trimmed.slice(2, -2).trim();
+        i++;
+      } else {
+        const texLines = [trimmed.slice(2)];
+        i++;
+        while (i < lines.length && !lines[i].trim().endsWith('$$')) {
+          texLines.push(lines[i]);
+          i++;
+        }
+        if (i < lines.length) {
+          texLines.push(lines[i].trim().slice(0, -2));
+          i++;
+        }
+        tex = texLines.join('\n').trim();
+      }
+      slide.content.push({ type: 'math', tex });
+      continue;
+    }
+
+    // Otherwise it's a paragraph
+    flushBullets();
+    slide.content.push({
+      type: 'text',
+      text: trimmed
+    });
+    i++;
+  }
+
+  flushBullets();
+
+  for (const directive of directives) {
+    applyDirective(slide, directive);
+  }
+
+  if (notes) {
+    slide.notes = notes;
+  }
+
+  return slide;
+}
+
+const diagramEngines = {
+  mermaid: 'mermaid',
+  dot: 'dot',
+  graphviz: 'dot'
+};
+
+// A fenced code block as content, from its info string ("js {2,4-6}") and
+// code. mermaid and dot blocks are diagrams, drawn as SVG at build time.
+export function codeBlock(info, code) {
+  const fence = String(info || '').match(/^\s*([^\s{]*)\s*(?:\{([^}]*)\})?/);
+  const lang = fence[1];
+  const focus = fence[2]?.replace(/\s+/g, '');
+
+  const engine = diagramEngines[lang.toLowerCase()];
+  if (engine) {
+    return { type: 'diagram', engine, source: code };
+  }
+
+  const item = { type: 'code', language: lang || 'text', code };
+  if (focus) {
+    item.focus = focus;
+  }
+  return item;
+}
+
+function isTableSeparator(line) {
+  return /^\|?(\s*:?-+:?\s*\|)+\s*(:?-+:?)?\s*$/.test(line.trim());
+}
+
+// Cells of a `| a | b |` row; `\|` is a literal pipe inside a cell
+function splitTableRow(line) {
+  const cells = line.replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/);
+  return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+// slides.yaml structure -> outline text, the reverse of parseOutline. Fields
+// the outline has no syntax for (timing, audio, per-item fragment styles...)
+// are left out; parse keeps them when it merges into an existing slides.yaml.
+export function toOutline(deck) {
+  const blocks = [];
+
+  const head = [];
+  if (deck.title) head.push(`# ${deck.title}`);
+  if (deck.subtitle) head.push(`## ${deck.subtitle}`);
+  if (deck.title_notes) head.push('', `Note: ${deck.title_notes}`);
+  if (head.length > 0) blocks.push(head.join('\n'));
+
+  for (const slide of deck.slides || []) {
+    blocks.push(slideToOutline(slide));
+  }
+
+  return blocks.join('\n\n---\n\n') + '\n';
+}
+
+function slideToOutline(slide) {
+  const parts = [];
+
+  const head = [];
+  if (slide.title) head.push(`# ${slide.title}`);
+  if (slide.id) head.push(`<!-- id: ${slide.id} -->`);
+  if (slide.layout) head.push(`<!-- layout: ${slide.layout} -->`);
+  if (slide.build) head.push(`<!-- build: ${slide.build} -->`);
+  if (slide.preset) head.push(`<!-- preset: ${slide.preset} -->`);
+  if (head.length > 0) parts.push(head.join('\n'));
+
+  for (const item of slide.content || []) {
+    const text = contentToOutline(item, slide);
+    if (text) parts.push(text);
+  }
+
+  if (slide.notes) parts.push(`Note: ${slide.notes}`);
+
+  return parts.join('\n\n');
+}
+
+function contentToOutline(item, slide) {
+  switch (item.type) {
+    case 'bullets': {
+      let number = 0;
+      return (item.items || []).map(bullet => {
+        const level = bullet.level || 0;
+        let marker = bullet.fragment ? '+' : '-';
+        if (item.ordered && level === 0) {
+          marker = `${++number}.`;
+        }
+        return `${'  '.repeat(level)}${marker} ${bullet.text}`;
+      }).join('\n');
+    }
+    case 'quote':
+      return String(item.text || '').split(/\n\s*\n/).map(para => `> ${para.trim()}`).join('\n>\n');
+    case 'table': {
+      const row = cells => `| ${cells.map(cell => String(cell ?? '').replace(/\|/g, '\\|')).join(' | ')} |`;
+      const separator = (item.header || []).map((_, col) => {
+        const align = item.align?.[col];
+        if (align === 'center') return ':---:';
+        if (align === 'right') return '---:';
+        return '---';
+      });
+      return [row(item.header || []), `| ${separator.join(' | ')} |`, ...(item.rows || []).map(row)].join('\n');
+    }
+    case 'text':
+      return item.text;
+    case 'image':
+      return `![${item.alt || ''}](${item.src})`;
+    case 'column-break':
+      return '|||';
+    case 'diagram':
+      return `\`\`\`${item.engine}\n${item.source}\n\`\`\``;
+    case 'math':
+      return `$$\n${item.tex}\n$$`;
+    case 'code': {
+      const language = item.language && item.language !== 'text' ? item.language : '';
+      const focus = item.focus ? ` {${item.focus}}` : '';
+      return `\`\`\`${language}${focus}\n${item.code}\n\`\`\``;
+    }
+    default:
+      console.warn(`Warning: Content type "${item.type}" on slide "${slide.title}" has no outline syntax, skipped`);
+      return '';
+  }
+}
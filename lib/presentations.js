@@ -0,0 +1,49 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { loadConfig, projectRoot } from './config.js';
+import { checkOutput, renderSettings } from './manifest.js';
+
+// Presentation folders: presentations/<name>/ holds the outline, the YAML,
+// its outputs and an optional config.yaml and themes/ of its own.
+
+export const presentationsDir = path.join(projectRoot, 'presentations');
+
+export function listPresentations() {
+  if (!fs.existsSync(presentationsDir)) return [];
+  return fs.readdirSync(presentationsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+export function presentationFiles(name) {
+  const dir = path.join(presentationsDir, name);
+  return {
+    dir,
+    outline: path.join(dir, 'outline.txt'),
+    content: path.join(dir, 'slides.yaml'),
+    config: path.join(dir, 'config.yaml'),
+    html: path.join(dir, 'slides.html'),
+    video: path.join(dir, 'slides.mp4')
+  };
+}
+
+// Whether a presentation's HTML and video still match what they were made
+// from, by their manifest (see checkOutput): { html, video }, each
+// { status, reasons }
+export function presentationStatus(name) {
+  const files = presentationFiles(name);
+  let content;
+  try {
+    content = yaml.load(fs.readFileSync(files.content, 'utf-8'));
+  } catch (err) {
+    content = undefined;
+  }
+  const config = loadConfig(files.dir, { content });
+
+  return {
+    html: checkOutput(files.html, { config }),
+    video: checkOutput(files.video, { config: renderSettings(config) })
+  };
+}
@@ -0,0 +1,399 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execSync, execFileSync, spawn } from 'child_process';
+import { loadConfig } from './config.js';
+import { openDeck } from './browser.js';
+import { buildCues, toSrt, toVtt } from './subtitles.js';
+
+// Render built HTML slides to an MP4: each slide and fragment step is
+// captured in a headless browser for as long as its timing says, then
+// ffmpeg joins the stills with any narration and music. The config is the
+// presentation's (see loadConfig); its video and timing settings apply.
+// Progress goes to `log`, warnings to console.warn.
+//
+// Resolves to { output, duration, frames, slides: [{ title, start, duration }],
+// subtitles: [paths written], inputs: [the HTML and audio files used] }.
+export async function renderVideo(htmlPath, {
+  output,
+  config,
+  subtitles = true,
+  burnSubtitles = false,
+  log = () => {}
+} = {}) {
+  const inputPath = path.resolve(htmlPath);
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`Input file not found: ${inputPath}`);
+  }
+  try {
+    execSync('ffmpeg -version', { stdio: 'ignore' });
+  } catch (err) {
+    throw new Error('ffmpeg is not installed or not in PATH (https://ffmpeg.org/download.html)');
+  }
+
+  config = config || loadConfig(path.dirname(inputPath));
+  const { width, height, fps } = config.video;
+  const defaultTiming = config.timing.default;
+  const fragmentTiming = config.timing.fragment;
+  const outputPath = path.resolve(output || inputPath.replace(/\.html?$/i, '') + '.mp4');
+
+  log(`Rendering ${width}x${height} @ ${fps}fps...`);
+
+  // Frames go to a temp directory of their own, so several renders can run
+  // side by side. Chrome starts inside the try so it is closed on any error.
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slides-factory-'));
+  let browser = null;
+  try {
+    const deck = await openDeck(inputPath, { width, height });
+    browser = deck.browser;
+    const { page } = deck;
+
+    // Read per-slide timing from the data-timing attributes build.js wrote,
+    // so the durations line up with the slides actually in the deck. Each
+    // fragment step gets its own hold, from data-timing on the fragment.
+    const slides = await page.evaluate(() => {
+      return Reveal.getSlides().map(slide => {
+        const heading = slide.querySelector('h1, h2');
+        const notes = slide.querySelector('aside.notes');
+        const steps = new Map();
+        for (const fragment of slide.querySelectorAll('.fragment')) {
+          const index = parseInt(fragment.dataset.fragmentIndex) || 0;
+          const timing = parseFloat(fragment.dataset.timing) || 0;
+          steps.set(index, Math.max(steps.get(index) || 0, timing));
+        }
+        return {
+          indices: Reveal.getIndices(slide),
+          timing: parseFloat(slide.dataset.timing),
+          title: heading ? heading.textContent.trim() : '',
+          audio: slide.dataset.audio || null,
+          caption: slide.dataset.caption ||
+            (notes ? [...notes.querySelectorAll('p')].map(p => p.textContent).join(' ') : ''),
+          fragments: [...steps.keys()].sort((a, b) => a - b).map(index => steps.get(index))
+        };
+      });
+    });
+
+    const music = await page.evaluate(() => {
+      const deck = document.querySelector('.reveal');
+      if (!deck.dataset.music) return null;
+      return { src: deck.dataset.music, volume: parseFloat(deck.dataset.musicVolume) };
+    });
+
+    // Audio paths in the HTML are relative to the HTML file
+    const htmlDir = path.dirname(inputPath);
+    for (const slide of slides) {
+      slide.fragments = slide.fragments.map(timing => timing > 0 ? timing : fragmentTiming);
+
+      if (slide.audio) {
+        slide.audio = resolveAudio(slide.audio, htmlDir);
+        slide.audioDuration = probeDuration(slide.audio);
+
+        // Narrated slides without explicit timing last as long as their audio
+        if (!(slide.timing > 0)) {
+          const fragmentTotal = slide.fragments.reduce((sum, timing) => sum + timing, 0);
+          slide.timing = Math.max(slide.audioDuration - fragmentTotal, 1 / fps);
+        }
+      }
+
+      if (!(slide.timing > 0)) {
+        slide.timing = defaultTiming;
+      }
+    }
+
+    if (music) {
+      music.src = resolveAudio(music.src, htmlDir);
+      if (!(music.volume >= 0)) {
+        music.volume = 0.3;
+      }
+    }
+
+    const totalSlides = slides.length;
+    log(`Found ${totalSlides} slides`);
+    printTimingTable(slides, log);
+
+    // Frames with how long each one stays on screen. Static holds are a
+    // single still, so only animations cost more than one screenshot.
+    const frames = [];
+    const frameTime = 1 / fps;
+
+    async function capture(duration) {
+      const name = `frame-${String(frames.length).padStart(6, '0')}.png`;
+      await page.screenshot({ path: path.join(tempDir, name), type: 'png' });
+      frames.push({ file: name, duration });
+    }
+
+    // Run a navigation step (a slide or the next fragment), capture the
+    // animations it starts frame by frame, then hold the settled result.
+    // Returns the seconds of video produced.
+    async function captureStep(step, holdTime) {
+      const animationTime = await page.evaluate(startPausedStep, step);
+      const animationFrames = Math.ceil(animationTime * fps);
+
+      for (let f = 0; f < animationFrames; f++) {
+        await page.evaluate(seekAnimations, f * frameTime * 1000);
+        await capture(frameTime);
+      }
+
+      await page.evaluate(finishAnimations);
+      const animated = animationFrames * frameTime;
+      const hold = Math.max(holdTime - animated, frameTime);
+      await capture(hold);
+      return animated + hold;
+    }
+
+    // Capture each slide
+    for (let slideIndex = 0; slideIndex < totalSlides; slideIndex++) {
+      const slide = slides[slideIndex];
+      const firstFrame = frames.length;
+      slide.start = frames.reduce((sum, frame) => sum + frame.duration, 0);
+
+      // Navigate to slide with all of its fragments hidden
+      let spent = await captureStep({ slide: slide.indices }, slide.timing);
+
+      // Reveal fragments one step at a time
+      for (const fragmentHold of slide.fragments) {
+        spent += await captureStep({ fragment: true }, fragmentHold);
+      }
+
+      slide.duration = spent;
+      if (slide.audio && slide.audioDuration > spent + 0.05) {
+        console.warn(`Warning: Audio for slide ${slideIndex + 1} is ${slide.audioDuration.toFixed(1)}s but the slide lasts ${spent.toFixed(1)}s; it will be cut`);
+      }
+
+      const captured = frames.length - firstFrame;
+      log(`Slide ${slideIndex + 1}/${totalSlides}: ${spent.toFixed(1)}s (${captured} captures)`);
+    }
+
+    const totalDuration = frames.reduce((sum, frame) => sum + frame.duration, 0);
+    log(`Captured ${frames.length} stills for ${totalDuration.toFixed(1)}s of video`);
+
+    // Ensure output directory exists
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    // Describe the frame timeline for ffmpeg's concat demuxer
+    const listPath = path.join(tempDir, 'frames.txt');
+    fs.writeFileSync(listPath, concatList(frames));
+
+    // Subtitles share the frame timeline, from each slide's caption or notes
+    const cues = subtitles || burnSubtitles ? buildCues(slides) : [];
+    const subtitleBase = outputPath.replace(/\.[^.\/]+$/, '');
+    const subtitleFiles = [];
+    if (cues.length > 0 && subtitles) {
+      subtitleFiles.push(`${subtitleBase}.srt`, `${subtitleBase}.vtt`);
+      fs.writeFileSync(subtitleFiles[0], toSrt(cues));
+      fs.writeFileSync(subtitleFiles[1], toVtt(cues));
+      log(`Subtitles: ${cues.length} cues to ${subtitleBase}.srt/.vtt`);
+    }
+
+    // Burning in runs ffmpeg from the temp dir so the subtitles filter gets a
+    // plain relative filename instead of an escaped absolute path
+    let videoFilter = `fps=${fps}`;
+    if (burnSubtitles) {
+      if (cues.length > 0) {
+        fs.writeFileSync(path.join(tempDir, 'subtitles.srt'), toSrt(cues));
+        videoFilter += ',subtitles=subtitles.srt';
+      } else {
+        console.warn('Warning: No slide has a caption or notes to burn in as subtitles');
+      }
+    }
+
+    // Compile frames to video using ffmpeg
+    log('Encoding video...');
+
+    const ffmpegArgs = [
+      '-y',
+      '-f', 'concat',
+      '-safe', '0',
+      '-i', listPath,
+      ...audioArgs(slides, music, totalDuration),
+      '-vf', videoFilter,
+      '-c:v', 'libx264',
+      '-preset', 'slow',
+      '-crf', '18',
+      '-pix_fmt', 'yuv420p',
+      '-movflags', '+faststart',
+      outputPath
+    ];
+
+    // ffmpeg's own output is kept for the error message rather than printed
+    await new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', ffmpegArgs, { stdio: ['ignore', 'ignore', 'pipe'], cwd: tempDir });
+      let stderr = '';
+      ffmpeg.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-4000);
+      });
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          const detail = stderr.trim().split('\n').slice(-5).join('\n');
+          reject(new Error(`ffmpeg exited with code ${code}${detail ? `:\n${detail}` : ''}`));
+        }
+      });
+      ffmpeg.on('error', reject);
+    });
+
+    return {
+      output: outputPath,
+      duration: totalDuration,
+      frames: frames.length,
+      slides: slides.map(({ title, start, duration }) => ({ title, start, duration })),
+      subtitles: subtitleFiles,
+      inputs: [inputPath, ...slides.filter(slide => slide.audio).map(slide => slide.audio), ...(music ? [music.src] : [])]
+    };
+  } finally {
+    if (browser) await browser.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+function resolveAudio(src, baseDir) {
+  const resolved = path.resolve(baseDir, src);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Audio file not found: ${resolved}`);
+  }
+  return resolved;
+}
+
+// Length of an audio file in seconds
+function probeDuration(filePath) {
+  let output;
+  try {
+    output = execFileSync('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      filePath
+    ], { encoding: 'utf-8' });
+  } catch (err) {
+    throw new Error(`Could not read audio duration with ffprobe: ${filePath}`);
+  }
+
+  const duration = parseFloat(output);
+  if (!(duration > 0)) {
+    throw new Error(`ffprobe reported no duration for ${filePath}`);
+  }
+  return duration;
+}
+
+// Extra ffmpeg inputs and an audio filter graph: each narration clip is cut
+// to its slide and delayed to the slide's start, background music loops
+// under the whole video at its volume, and everything is mixed into one
+// track as long as the video. Input 0 is the frame list.
+function audioArgs(slides, music, totalDuration) {
+  const inputs = [];
+  const filters = [];
+  const labels = [];
+  let input = 0;
+
+  for (const slide of slides) {
+    if (!slide.audio) continue;
+    input++;
+    const delay = Math.round(slide.start * 1000);
+    const label = `a${labels.length}`;
+    inputs.push('-i', slide.audio);
+    filters.push(
+      `[${input}:a]atrim=0:${slide.duration.toFixed(3)},asetpts=PTS-STARTPTS,` +
+      `adelay=delays=${delay}:all=1[${label}]`
+    );
+    labels.push(`[${label}]`);
+  }
+
+  if (music) {
+    input++;
+    inputs.push('-stream_loop', '-1', '-i', music.src);
+    filters.push(`[${input}:a]volume=${music.volume}[music]`);
+    labels.push('[music]');
+  }
+
+  if (labels.length === 0) {
+    return [];
+  }
+
+  filters.push(
+    `${labels.join('')}amix=inputs=${labels.length}:duration=longest:normalize=0,` +
+    `atrim=0:${totalDuration.toFixed(3)}[aout]`
+  );
+
+  return [
+    ...inputs,
+    '-filter_complex', filters.join(';'),
+    '-map', '0:v',
+    '-map', '[aout]',
+    '-c:a', 'aac',
+    '-b:a', '192k'
+  ];
+}
+
+// ffconcat list: every still with its on-screen duration. The last file is
+// repeated because the concat demuxer ignores the final duration otherwise.
+function concatList(frames) {
+  const lines = ['ffconcat version 1.0'];
+  for (const frame of frames) {
+    lines.push(`file '${frame.file}'`);
+    lines.push(`duration ${frame.duration.toFixed(6)}`);
+  }
+  if (frames.length > 0) {
+    lines.push(`file '${frames[frames.length - 1].file}'`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// The functions below run inside the page. Reveal animates slides and
+// fragments with CSS transitions; pausing them right after navigation and
+// seeking their currentTime drives reveal's clock deterministically, however
+// long each screenshot takes.
+
+function startPausedStep(step) {
+  if (step.fragment) {
+    Reveal.nextFragment();
+  } else {
+    Reveal.slide(step.slide.h, step.slide.v, -1);
+  }
+
+  const animations = document.getAnimations().filter(animation => {
+    const end = animation.effect?.getComputedTiming().endTime;
+    return animation.playState !== 'finished' && Number.isFinite(end);
+  });
+  animations.forEach(animation => animation.pause());
+  window.__renderAnimations = animations;
+
+  const end = Math.max(0, ...animations.map(animation =>
+    animation.effect.getComputedTiming().endTime
+  ));
+  return end / 1000;
+}
+
+function seekAnimations(time) {
+  for (const animation of window.__renderAnimations || []) {
+    animation.currentTime = time;
+  }
+}
+
+function finishAnimations() {
+  for (const animation of window.__renderAnimations || []) {
+    animation.finish();
+  }
+  window.__renderAnimations = [];
+}
+
+function printTimingTable(slides, log) {
+  const titleWidth = Math.max(5, ...slides.map(slide => slide.title.length));
+  const slideTotal = slide => slide.fragments.reduce((sum, timing) => sum + timing, slide.timing);
+  const total = slides.reduce((sum, slide) => sum + slideTotal(slide), 0);
+
+  log('');
+  log(`  #   ${'Title'.padEnd(titleWidth)}  Seconds  Fragments`);
+  log(`  --  ${'-'.repeat(titleWidth)}  -------  ---------`);
+  slides.forEach((slide, index) => {
+    const number = String(index + 1).padStart(2);
+    const seconds = slideTotal(slide).toFixed(1).padStart(7);
+    const fragments = String(slide.fragments.length).padStart(9);
+    log(`  ${number}  ${slide.title.padEnd(titleWidth)}  ${seconds}  ${fragments}`);
+  });
+  log(`      ${'Total'.padEnd(titleWidth)}  ${total.toFixed(1).padStart(7)}`);
+  log('');
+}
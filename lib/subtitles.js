@@ -0,0 +1,103 @@
+// Subtitle cues from per-slide text and the render timeline. Each slide's
+// text is split into sentence-sized cues that share the slide's time in
+// proportion to their length.
+
+const maxCueLength = 84;
+
+export function buildCues(slides) {
+  const cues = [];
+
+  for (const slide of slides) {
+    const text = (slide.caption || '').replace(/\s+/g, ' ').trim();
+    if (!text || !(slide.duration > 0)) continue;
+
+    const chunks = splitText(text);
+    const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    let start = slide.start;
+
+    for (const chunk of chunks) {
+      const end = start + slide.duration * (chunk.length / totalLength);
+      cues.push({ start, end, text: wrapLines(chunk) });
+      start = end;
+    }
+  }
+
+  return cues;
+}
+
+export function toSrt(cues) {
+  return cues.map((cue, index) => [
+    String(index + 1),
+    `${timestamp(cue.start, ',')} --> ${timestamp(cue.end, ',')}`,
+    srtText(cue.text)
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+export function toVtt(cues) {
+  const body = cues.map(cue => [
+    `${timestamp(cue.start, '.')} --> ${timestamp(cue.end, '.')}`,
+    vttText(cue.text)
+  ].join('\n')).join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+}
+
+// WebVTT cue text is markup: `&` and `<` start entities and tags, and `-->`
+// can't appear at all
+function vttText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// SRT has no escapes, but players (and ffmpeg's subtitles filter, which
+// burns them in) read `<b>`-style tags, `{\...}` ASS overrides and `-->`.
+// A zero-width space keeps those from matching without showing.
+function srtText(text) {
+  return text.replace(/-->/g, '--\u200b>').replace(/<(?=\/?[a-z])/gi, '<\u200b').replace(/\{/g, '{\u200b');
+}
+
+// Split into sentences, then break sentences that are still too long for
+// two lines at word boundaries
+function splitText(text) {
+  const sentences = text.match(/[^.!?]+[.!?]+["')\]]*|[^.!?]+$/g) || [text];
+  const chunks = [];
+
+  for (const sentence of sentences.map(s => s.trim()).filter(Boolean)) {
+    let current = '';
+    for (const word of sentence.split(' ')) {
+      if (current && current.length + word.length + 1 > maxCueLength) {
+        chunks.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    }
+    if (current) chunks.push(current);
+  }
+
+  return chunks;
+}
+
+// Break a cue into at most two balanced lines
+function wrapLines(text) {
+  if (text.length <= maxCueLength / 2) return text;
+
+  const middle = Math.floor(text.length / 2);
+  const before = text.lastIndexOf(' ', middle);
+  const after = text.indexOf(' ', middle);
+  const split = before === -1 ? after
+    : after === -1 ? before
+    : (middle - before <= after - middle ? before : after);
+
+  if (split === -1) return text;
+  return `${text.slice(0, split)}\n${text.slice(split + 1)}`;
+}
+
+function timestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const ms = totalMs % 1000;
+  const totalSeconds = Math.floor(totalMs / 1000);
+  const s = totalSeconds % 60;
+  const m = Math.floor(totalSeconds / 60) % 60;
+  const h = Math.floor(totalSeconds / 3600);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms, 3)}`;
+}
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import { projectRoot } from './config.js';
+import { inlineCss } from './inline.js';
+
+// Themes are CSS files in themes/, or in <presentation>/themes/ for a single
+// deck. Every theme sits on top of themes/base.css, which holds the rules;
+// a theme mostly sets custom properties. A theme can build on another one
+// by naming it in its header comment:
+//
+//   /* Brand Theme
+//      extends: dark */
+
+export const themesDir = path.join(projectRoot, 'themes');
+const baseTheme = 'base';
+
+// Theme directories to search, most specific first
+export function themeDirs(presentationDir) {
+  const dirs = [];
+  if (presentationDir) {
+    dirs.push(path.resolve(presentationDir, 'themes'));
+  }
+  if (!dirs.includes(themesDir)) {
+    dirs.push(themesDir);
+  }
+  return dirs;
+}
+
+// Names of the themes a deck can use (base is not a theme on its own)
+export function listThemes(presentationDir) {
+  const names = new Set();
+  for (const dir of themeDirs(presentationDir)) {
+    if (!fs.existsSync(dir)) continue;
+    for (const file of fs.readdirSync(dir)) {
+      if (file.endsWith('.css')) names.add(path.basename(file, '.css'));
+    }
+  }
+  names.delete(baseTheme);
+  return [...names].sort();
+}
+
+// Resolve a theme to the CSS files that make it up, base first. Throws when
+// the theme, or a theme it extends, can't be found, or on an extends cycle.
+export function resolveTheme(name, { presentationDir } = {}) {
+  const dirs = themeDirs(presentationDir);
+  const chain = [];
+  const seen = new Set();
+  let current = name;
+  let skip = null;
+
+  while (current && current !== baseTheme) {
+    const file = findTheme(current, dirs, skip);
+    if (!file) {
+      const from = chain.length > 0 ? ` (extended by ${path.basename(chain[0], '.css')})` : '';
+      throw new Error(
+        `Theme "${current}"${from} not found. Looked in: ` +
+        dirs.map(dir => path.relative(process.cwd(), dir) || '.').join(', ') +
+        `. Available themes: ${listThemes(presentationDir).join(', ') || '(none)'}`
+      );
+    }
+    if (seen.has(file)) {
+      throw new Error(`Theme "${name}" has an extends cycle at "${current}"`);
+    }
+    seen.add(file);
+    chain.unshift(file);
+
+    const parent = themeParent(fs.readFileSync(file, 'utf-8'));
+    // A presentation theme may extend the global theme of the same name
+    skip = parent === current ? file : null;
+    current = parent;
+  }
+
+  const base = path.join(themesDir, `${baseTheme}.css`);
+  if (!fs.existsSync(base)) {
+    throw new Error(`Base theme not found: ${path.relative(process.cwd(), base)}`);
+  }
+  return [base, ...chain];
+}
+
+// The full CSS of a theme. Standalone builds inline each file's url()
+// references against that file's own directory.
+export function loadTheme(name, { presentationDir, inline = false } = {}) {
+  return resolveTheme(name, { presentationDir })
+    .map(file => {
+      const css = fs.readFileSync(file, 'utf-8');
+      return inline ? inlineCss(css, path.dirname(file)) : css;
+    })
+    .join('\n');
+}
+
+// `extends: <name>` from the comment at the top of a theme file
+export function themeParent(css) {
+  const header = css.match(/^\s*\/\*([\s\S]*?)\*\//);
+  if (!header) return null;
+  const match = header[1].match(/^[\s*]*extends\s*:\s*([\w-]+)/m);
+  return match ? match[1] : null;
+}
+
+// Custom properties declared in theme CSS, later declarations winning, with
+// var() references resolved: { 'color-accent': '#0066cc', ... }. With
+// `resolve: false` values are kept as declared, var() and all.
+export function themeVariables(css, { resolve: resolveRefs = true } = {}) {
+  const raw = {};
+  for (const match of String(css || '').matchAll(/--([\w-]+)\s*:\s*([^;}]+)/g)) {
+    raw[match[1]] = match[2].trim();
+  }
+
+  const resolve = (value, depth = 0) => {
+    if (depth > 10) return value;
+    return value.replace(/var\(\s*--([\w-]+)\s*(?:,\s*([^)]*))?\)/g, (ref, name, fallback) => {
+      if (name in raw) return resolve(raw[name], depth + 1);
+      return fallback !== undefined ? resolve(fallback.trim(), depth + 1) : ref;
+    });
+  };
+
+  if (!resolveRefs) return raw;
+
+  const variables = {};
+  for (const [name, value] of Object.entries(raw)) {
+    variables[name] = resolve(value);
+  }
+  return variables;
+}
+
+function findTheme(name, dirs, skip) {
+  for (const dir of dirs) {
+    const file = path.join(dir, `${name}.css`);
+    if (file !== skip && fs.existsSync(file)) return file;
+  }
+  return null;
+}
@@ -0,0 +1,179 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import { LineCounter, parseDocument } from 'yaml';
+
+// Check slides.yaml source against lib/slides.schema.json. Errors carry the
+// line and column of the offending key or value in the YAML source, and
+// unknown keys, types and values get a "did you mean" suggestion.
+
+export const schemaPath = fileURLToPath(new URL('./slides.schema.json', import.meta.url));
+export const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf-8'));
+
+const ajv = new Ajv({ allErrors: true, discriminator: true, verbose: true, allowUnionTypes: true });
+const validateSchema = ajv.compile(schema);
+
+const contentTypes = schema.definitions.content.oneOf
+  .map(ref => schema.definitions[ref.$ref.split('/').pop()].properties.type.const);
+
+// Thrown by buildHtml for a deck that doesn't match the schema
+export class ValidationError extends Error {
+  constructor(errors) {
+    super(errors.map(formatError).join('\n'));
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// Validate YAML source, or an already loaded deck. Returns a list of
+// { file, line, column, message }, empty when the deck is valid. Errors for
+// a loaded deck have no line and column.
+export function validateDeck(source, { file = 'slides.yaml' } = {}) {
+  if (typeof source !== 'string') {
+    return validateSchema(source) ? [] : schemaErrors(null, (offset, message) => ({ file, line: null, column: null, message }));
+  }
+
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(source, { lineCounter });
+
+  const at = (offset, message) => {
+    const { line, col } = lineCounter.linePos(offset ?? 0);
+    return { file, line, column: col, message };
+  };
+
+  if (doc.errors.length > 0) {
+    return doc.errors.map(err =>
+      at(err.pos[0], err.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''))
+    );
+  }
+
+  return validateSchema(doc.toJS()) ? [] : schemaErrors(doc, at);
+}
+
+export function formatError(error) {
+  if (error.line == null) return `${error.file}: ${error.message}`;
+  return `${error.file}:${error.line}:${error.column}: ${error.message}`;
+}
+
+// The last validation's errors, placed with `at(offset, message)` at the
+// offending key or value when there is a YAML document to look in
+function schemaErrors(doc, at) {
+  const errors = [];
+  for (const err of validateSchema.errors) {
+    const segments = pathSegments(err.instancePath);
+    const described = describe(err, segments);
+    if (!described) continue;
+
+    if (!doc) {
+      errors.push(at(null, described.message));
+      continue;
+    }
+    const node = nodeAt(doc, segments);
+    const target = described.key !== undefined ? keyNode(node, described.key) || node : node;
+    errors.push(at(target?.range?.[0], described.message));
+  }
+  return errors;
+}
+
+function describe(err, segments) {
+  const where = segments.length > 0 ? ` in ${pathLabel(segments)}` : '';
+  // For errors about a value: its key, and where that key is
+  const last = segments[segments.length - 1];
+  const parent = segments.slice(0, -1);
+  const name = typeof last === 'string' ? `"${last}"` : segments.length > 0 ? pathLabel(segments) : 'The file';
+  const within = typeof last === 'string' && parent.length > 0 ? ` in ${pathLabel(parent)}` : '';
+
+  switch (err.keyword) {
+    case 'additionalProperties': {
+      const key = err.params.additionalProperty;
+      const known = Object.keys(err.parentSchema.properties || {});
+      return { key, message: `Unknown key "${key}"${where}${suggest(key, known)}` };
+    }
+    case 'required':
+      return { message: `Missing "${err.params.missingProperty}"${where}` };
+    case 'discriminator': {
+      // A missing type is already reported by `required`
+      if (err.params.error !== 'mapping') return null;
+      const type = String(err.params.tagValue);
+      return {
+        key: 'type',
+        message: `Unknown content type "${type}"${where}` +
+          (suggest(type, contentTypes) || ` (use ${contentTypes.join(', ')})`)
+      };
+    }
+    case 'enum': {
+      const value = String(err.data);
+      const allowed = err.params.allowedValues;
+      return {
+        message: `Unknown ${typeof last === 'string' ? last : 'value'} "${value}"${within}` +
+          (suggest(value, allowed) || ` (use ${allowed.join(', ')})`)
+      };
+    }
+    case 'type': {
+      const types = [].concat(err.params.type).map(type =>
+        type === 'object' ? 'a mapping' : type === 'array' ? 'a list' : type === 'integer' ? 'an integer' : `a ${type}`
+      );
+      return { message: `${name}${within} must be ${types.join(' or ')}` };
+    }
+    default:
+      return { message: `${name}${within} ${err.message}` };
+  }
+}
+
+function pathSegments(instancePath) {
+  return instancePath.split('/').slice(1).map(segment => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    return /^\d+$/.test(key) ? Number(key) : key;
+  });
+}
+
+// slides[2].content[0].items[1]
+function pathLabel(segments) {
+  return segments.map((segment, i) =>
+    typeof segment === 'number' ? `[${segment}]` : (i > 0 ? '.' : '') + segment
+  ).join('');
+}
+
+// The deepest YAML node along the path
+function nodeAt(doc, segments) {
+  for (let length = segments.length; length > 0; length--) {
+    const node = doc.getIn(segments.slice(0, length), true);
+    if (node && typeof node === 'object') return node;
+  }
+  return doc.contents;
+}
+
+function keyNode(node, key) {
+  const pair = node?.items?.find(item => item.key?.value === key);
+  return pair?.key;
+}
+
+function suggest(value, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(value.toLowerCase(), String(candidate).toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  const limit = Math.max(2, Math.floor(value.length / 3));
+  return best !== null && bestDistance <= limit && bestDistance < value.length ? ` (did you mean "${best}"?)` : '';
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
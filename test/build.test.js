@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildHtml } from '../lib/build.js';
+import { loadConfig } from '../lib/config.js';
+import { ValidationError } from '../lib/validate.js';
+
+const deck = {
+  title: 'Talk',
+  subtitle: 'A subtitle',
+  slides: [
+    {
+      title: 'Agenda',
+      content: [
+        { type: 'bullets', ordered: true, items: [{ text: 'First', level: 0, fragment: true }, { text: 'Nested', level: 1 }] },
+        { type: 'text', text: 'Some *emphasis*' }
+      ],
+      notes: 'Speaker notes'
+    }
+  ]
+};
+
+test('builds a reveal.js page with a title slide and content slides', async () => {
+  const html = await buildHtml(deck, null, { outputPath: 'output/slides.html' });
+
+  assert.match(html, /<section class="title-slide"[^>]*>\s*<h1>Talk<\/h1>\s*<h2>A subtitle<\/h2>/);
+  assert.match(html, /<h2>Agenda<\/h2>/);
+  assert.match(html, /<ol><li class="fragment">First<ul><li>Nested<\/li><\/ul><\/li><\/ol>/);
+  assert.match(html, /<em>emphasis<\/em>/);
+  assert.match(html, /<aside class="notes">[\s\S]*Speaker notes[\s\S]*<\/aside>/);
+});
+
+test('escapes HTML in slide text', async () => {
+  const html = await buildHtml({ title: 'A <b> & C', slides: [] }, null, { outputPath: 'output/slides.html' });
+  assert.match(html, /<h1>A &lt;b&gt; &amp; C<\/h1>/);
+});
+
+test('numeric titles on layout slides are written as text', async () => {
+  const html = await buildHtml({
+    title: 'Talk',
+    slides: [
+      { title: 2024, layout: 'section', content: [] },
+      { title: 0, layout: 'two-column', content: [{ type: 'text', text: 'Zero' }] }
+    ]
+  }, null, { outputPath: 'output/slides.html' });
+
+  assert.match(html, /<h2>2024<\/h2>/);
+  assert.match(html, /<h2>0<\/h2>/);
+});
+
+test('every field the schema allows to be a number can be one', async () => {
+  const numbers = {
+    title: 2024,
+    subtitle: 1,
+    title_notes: 2,
+    title_caption: 3,
+    slides: [
+      {
+        title: 10,
+        id: 11,
+        caption: 12,
+        notes: 13,
+        content: [
+          { type: 'bullets', items: [{ text: 14, level: 0 }] },
+          { type: 'text', text: 15 },
+          { type: 'quote', text: 16 },
+          { type: 'table', header: [17], rows: [[18]] },
+          { type: 'image', src: 'https://example.com/chart.png', alt: 19, width: 400, height: 300 },
+          { type: 'code', language: 'js', code: 20, focus: 1 },
+          { type: 'math', tex: 21 }
+        ]
+      },
+      { title: 30, layout: 'image-left', content: [{ type: 'image', src: 'https://example.com/a.png', alt: 31 }, { type: 'text', text: 32 }] },
+      { title: 40, layout: 'big-number', content: [{ type: 'text', text: 41 }] },
+      { title: 50, layout: 'quote', content: [{ type: 'quote', text: 51 }] },
+      { title: 60, layout: 'section', content: [] },
+      { title: 0, content: [{ type: 'text', text: 0 }] }
+    ]
+  };
+  const config = loadConfig(null, { overrides: { branding: { footer: '{{title}} · {{slide}}' } } });
+  const html = await buildHtml(numbers, config, { outputPath: 'output/slides.html' });
+
+  assert.match(html, /<h1>2024<\/h1>\s*<h2>1<\/h2>/);
+  assert.match(html, /<div class="brand-footer">2024 · /);
+  assert.match(html, /data-caption="12"/);
+  assert.match(html, /<li>14<\/li>/);
+  assert.match(html, /<th[^>]*>17<\/th>/);
+  assert.match(html, /<td[^>]*>18<\/td>/);
+  assert.match(html, /alt="19"/);
+  assert.match(html, /alt="31"/);
+  assert.match(html, /<h2>0<\/h2>\s*<p>0<\/p>/);
+  for (const title of [10, 30, 40, 50, 60]) {
+    assert.match(html, new RegExp(`<h2>${title}</h2>`));
+  }
+});
+
+test('rejects decks that fail validation', async () => {
+  await assert.rejects(
+    buildHtml({ title: 'Talk', slides: [{ title: 'Intro', content: [{ type: 'bogus' }] }] }),
+    error => error instanceof ValidationError && error.errors.length === 1
+  );
+});
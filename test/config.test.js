@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+import { buildHtml } from '../lib/build.js';
+import { loadConfig } from '../lib/config.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slides-factory-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function presentation(name, configYaml) {
+  const presentationDir = path.join(dir, name);
+  fs.mkdirSync(presentationDir);
+  if (configYaml !== undefined) {
+    fs.writeFileSync(path.join(presentationDir, 'config.yaml'), configYaml);
+  }
+  return presentationDir;
+}
+
+test('presentation config overrides the global one, deep-merged', () => {
+  const config = loadConfig(presentation('local', 'timing:\n  default: 8\n'));
+  assert.equal(config.timing.default, 8);
+  assert.equal(typeof config.timing.transition, 'number');
+  assert.equal(typeof config.video.fps, 'number');
+});
+
+test('content and overrides win over config files', () => {
+  const config = loadConfig(presentation('layers', 'theme: dark\n'), {
+    content: { theme: 'corporate' },
+    overrides: { theme: 'minimal', video: { fps: undefined } }
+  });
+  assert.equal(config.theme, 'minimal');
+  assert.equal(typeof config.video.fps, 'number');
+});
+
+test('an empty config file is no settings', () => {
+  assert.doesNotThrow(() => loadConfig(presentation('empty', '')));
+});
+
+test('a malformed config file throws, naming the file', () => {
+  const malformed = presentation('malformed', 'timing: [5\n');
+  assert.throws(() => loadConfig(malformed), /Could not load .*malformed[\\/]config\.yaml/);
+  assert.throws(() => loadConfig(presentation('list', '- theme: dark\n')), /list[\\/]config\.yaml: expected key: value settings/);
+});
+
+test('buildHtml fails on a malformed config instead of using defaults', async () => {
+  const malformed = presentation('build', 'theme: [dark\n');
+  await assert.rejects(
+    buildHtml({ title: 'Talk', slides: [] }, null, {
+      contentPath: path.join(malformed, 'slides.yaml'),
+      outputPath: path.join(malformed, 'slides.html')
+    }),
+    /Could not load .*build[\\/]config\.yaml/
+  );
+});
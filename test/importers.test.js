@@ -0,0 +1,207 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildHtml } from '../lib/build.js';
+import { importGoogleSlides } from '../lib/importers/google-slides.js';
+import { importMarkdown } from '../lib/importers/markdown.js';
+import { importPptxText } from '../lib/importers/pptx-text.js';
+import { importRevealHtml } from '../lib/importers/reveal-html.js';
+import { validateDeck } from '../lib/validate.js';
+
+const titles = deck => deck.slides.map(slide => slide.title);
+
+test('markdown: front matter sets the deck settings', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const deck = importMarkdown('---\ntitle: Talk\nauthor: Ada\ntheme: dark\ntiming: 6\nlayout: wide\n---\n\n# Intro\n\n- One\n');
+
+  assert.equal(deck.title, 'Talk');
+  assert.equal(deck.subtitle, 'Ada');
+  assert.equal(deck.theme, 'dark');
+  assert.deepEqual(deck.timing, { default: 6 });
+  assert.deepEqual(validateDeck(deck), []);
+  assert.deepEqual(warn.mock.calls.map(call => call.arguments[0]), ['Warning: Ignoring front matter keys: layout']);
+});
+
+test('markdown: front matter timing that is not seconds is dropped with a warning', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const deck = importMarkdown('---\ntiming: fast\n---\n\n# Intro\n');
+
+  assert.equal('timing' in deck, false);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.deepEqual(importMarkdown('---\ntiming:\n  default: 4\n  fragment: 1\n---\n\n# A\n').timing, { default: 4, fragment: 1 });
+});
+
+test('markdown: auto splits at rules when there are any', () => {
+  const deck = importMarkdown('# Talk\n\nA subtitle\n\n---\n\n## One\n\n- a\n\n---\n\n## Two\n\n### Part\n\nText\n');
+
+  assert.equal(deck.title, 'Talk');
+  assert.equal(deck.subtitle, 'A subtitle');
+  assert.deepEqual(titles(deck), ['One', 'Two']);
+  assert.deepEqual(deck.slides[1].content, [{ type: 'text', text: '**Part**' }, { type: 'text', text: 'Text' }]);
+});
+
+test('markdown: auto splits at the heading level used most, with section slides above it', () => {
+  const deck = importMarkdown('# Talk\n\n# Part one\n\n## A\n\nText\n\n## B\n\n1. x\n2. y\n\nNote: Say y\n');
+
+  assert.equal(deck.title, 'Talk');
+  assert.deepEqual(titles(deck), ['Part one', 'A', 'B']);
+  assert.equal(deck.slides[0].layout, 'section');
+  assert.equal(deck.slides[2].content[0].ordered, true);
+  assert.equal(deck.slides[2].notes, 'Say y');
+});
+
+test('markdown: an explicit split level overrides auto', () => {
+  const source = '## A\n\n### A1\n\n### A2\n\n## B\n';
+  assert.deepEqual(titles(importMarkdown(source)), ['A1', 'A2', 'B']);
+  assert.deepEqual(titles(importMarkdown(source, { split: 'h2' })), ['A', 'B']);
+
+  const single = importMarkdown('# A\n\nText\n\n# B\n\nMore\n', { split: 'rule' });
+  assert.deepEqual(titles(single), ['A']);
+  assert.deepEqual(single.slides[0].content.map(item => item.text), ['Text', '**B**', 'More']);
+  assert.throws(() => importMarkdown('# A', { split: 'h4' }), /Unknown split "h4"/);
+});
+
+test('reveal-html: a built deck imports back to the same slides', async () => {
+  const deck = {
+    title: 'Talk',
+    subtitle: 'A subtitle',
+    title_notes: 'Welcome',
+    slides: [
+      {
+        title: 'Agenda',
+        notes: 'Say it',
+        content: [
+          { type: 'bullets', ordered: true, items: [{ text: 'One **bold**', level: 0, fragment: true }, { text: 'Nested', level: 1 }] },
+          { type: 'text', text: 'A *paragraph*' }
+        ]
+      },
+      {
+        title: 'Details',
+        background: '#123456',
+        content: [
+          { type: 'code', language: 'js', code: 'const a = 1;\nconst b = 2;' },
+          { type: 'table', align: ['left', 'right'], header: ['Name', 'Count'], rows: [['a', '1']] },
+          { type: 'quote', text: 'Quoted' },
+          { type: 'image', src: 'https://example.com/chart.png', alt: 'Chart' }
+        ]
+      }
+    ]
+  };
+  const html = await buildHtml(deck, null, { outputPath: 'output/slides.html' });
+
+  assert.deepEqual(importRevealHtml(html), deck);
+});
+
+test('reveal-html: data-markdown sections and vertical stacks', () => {
+  const html = `<div class="reveal"><div class="slides">
+    <section data-markdown><textarea data-template>
+      # Talk
+    </textarea></section>
+    <section>
+      <section><h2>Top</h2><p>First</p></section>
+      <section><h2>Below</h2><ul><li>Item</li></ul></section>
+    </section>
+  </div></div>`;
+  const deck = importRevealHtml(html);
+
+  assert.equal(deck.title, 'Talk');
+  assert.deepEqual(titles(deck), ['Top', 'Below']);
+  assert.throws(() => importRevealHtml('<p>No slides</p>'), /No reveal\.js <section> slides found/);
+});
+
+// Google Slides API shapes: a placeholder or text box with paragraphs
+const run = (content, style = {}) => ({ textRun: { content, style } });
+const paragraph = bullet => ({ paragraphMarker: bullet ? { bullet } : {} });
+const shape = (type, textElements, objectId) => ({ objectId, shape: { placeholder: type ? { type } : undefined, text: { textElements } } });
+const cell = text => ({ text: { textElements: [paragraph(), run(`${text}\n`)] } });
+
+test('google-slides: title slide, bullets, text, images, tables and notes', () => {
+  const presentation = {
+    title: 'File name',
+    lists: { numbered: { nestingLevel: { 0: { bulletStyle: { glyphType: 'DECIMAL' } } } } },
+    slides: [
+      {
+        pageElements: [
+          shape('CENTERED_TITLE', [paragraph(), run('Quarterly Review\n')]),
+          shape('SUBTITLE', [paragraph(), run('Q3\n')])
+        ],
+        slideProperties: {
+          notesPage: {
+            notesProperties: { speakerNotesObjectId: 'notes' },
+            pageElements: [shape(null, [paragraph(), run('Welcome\n')], 'notes')]
+          }
+        }
+      },
+      {
+        pageElements: [
+          shape('TITLE', [paragraph(), run('Results\n')]),
+          shape('BODY', [
+            paragraph({ listId: 'bullets' }), run('Revenue '), run('up\n', { bold: true }),
+            paragraph({ listId: 'bullets', nestingLevel: 1 }), run('Europe\n'),
+            paragraph(), run('Plain text\n')
+          ]),
+          { elementGroup: { children: [{ image: { sourceUrl: 'https://example.com/chart.png' }, description: 'Chart' }] } },
+          { table: { tableRows: [{ tableCells: [cell('A'), cell('B')] }, { tableCells: [cell('1'), cell('2')] }] } }
+        ]
+      },
+      {
+        pageElements: [
+          shape('TITLE', [paragraph(), run('Steps\n')]),
+          shape('BODY', [paragraph({ listId: 'numbered' }), run('First\n'), paragraph({ listId: 'numbered' }), run('Second\n')])
+        ]
+      }
+    ]
+  };
+  const deck = importGoogleSlides(JSON.stringify(presentation));
+
+  assert.equal(deck.title, 'Quarterly Review');
+  assert.equal(deck.subtitle, 'Q3');
+  assert.equal(deck.title_notes, 'Welcome');
+  assert.deepEqual(deck.slides, [
+    {
+      title: 'Results',
+      content: [
+        { type: 'bullets', items: [{ text: 'Revenue **up**', level: 0 }, { text: 'Europe', level: 1 }] },
+        { type: 'text', text: 'Plain text' },
+        { type: 'image', alt: 'Chart', src: 'https://example.com/chart.png' },
+        { type: 'table', align: ['left', 'left'], header: ['A', 'B'], rows: [['1', '2']] }
+      ]
+    },
+    {
+      title: 'Steps',
+      content: [{ type: 'bullets', ordered: true, items: [{ text: 'First', level: 0 }, { text: 'Second', level: 0 }] }]
+    }
+  ]);
+});
+
+test('google-slides: without a title slide the file title is used', () => {
+  const deck = importGoogleSlides(JSON.stringify({
+    title: 'File name',
+    slides: [{ pageElements: [shape('TITLE', [paragraph(), run('Only slide\n')])] }]
+  }));
+
+  assert.equal(deck.title, 'File name');
+  assert.deepEqual(titles(deck), ['Only slide']);
+  assert.throws(() => importGoogleSlides('{"title": "x"}'), /no "slides" list/);
+  assert.throws(() => importGoogleSlides('not json'), /Not a Google Slides JSON file/);
+});
+
+test('pptx-text: a first slide with one body line is the title slide', () => {
+  const deck = importPptxText('Quarterly Review\n\tQ3 2024\nNotes: Welcome\nResults\n\tRevenue up\n\t\tEurope\n');
+
+  assert.equal(deck.title, 'Quarterly Review');
+  assert.equal(deck.subtitle, 'Q3 2024');
+  assert.equal(deck.title_notes, 'Welcome');
+  assert.deepEqual(deck.slides, [{
+    title: 'Results',
+    content: [{ type: 'bullets', items: [{ text: 'Revenue up', level: 0 }, { text: 'Europe', level: 1 }] }]
+  }]);
+});
+
+test('pptx-text: a first slide with more body lines stays a content slide', () => {
+  const deck = importPptxText('Agenda\n\t• Results\n\t• Plans\nResults\n\tRevenue up\n');
+
+  assert.equal(deck.title, '');
+  assert.equal(deck.subtitle, '');
+  assert.deepEqual(deck.slides.map(slide => slide.title), ['Agenda', 'Results']);
+  assert.deepEqual(deck.slides[0].content[0].items, [{ text: 'Results', level: 0 }, { text: 'Plans', level: 0 }]);
+});
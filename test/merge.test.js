@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { mergeDecks } from '../lib/merge.js';
+
+const bullets = (...texts) => ({ type: 'bullets', items: texts.map(text => ({ text, level: 0 })) });
+
+test('keeps YAML-only keys on matched slides, content and bullets', () => {
+  const parsed = { title: 'Talk', subtitle: '', slides: [{ title: 'Intro', content: [bullets('One', 'Two')] }] };
+  const existing = {
+    title: 'Old talk',
+    theme: 'dark',
+    slides: [{
+      title: 'Intro',
+      timing: 12,
+      audio: 'intro.mp3',
+      content: [{ ...bullets('One', 'Two'), items: [{ text: 'Two', level: 0, timing: 3 }, { text: 'One', level: 0 }] }]
+    }]
+  };
+
+  const { deck, conflicts } = mergeDecks(parsed, existing);
+  assert.deepEqual(conflicts, []);
+  assert.equal(deck.title, 'Talk');
+  assert.equal(deck.theme, 'dark');
+  assert.equal(deck.slides[0].timing, 12);
+  assert.equal(deck.slides[0].audio, 'intro.mp3');
+  assert.deepEqual(deck.slides[0].content[0].items, [{ text: 'One', level: 0 }, { text: 'Two', level: 0, timing: 3 }]);
+});
+
+test('matches slides by id before title', () => {
+  const parsed = { title: '', subtitle: '', slides: [{ title: 'Pricing plans', id: 'pricing', content: [] }] };
+  const existing = { slides: [{ title: 'Pricing', id: 'pricing', timing: 20, content: [] }] };
+
+  const { deck } = mergeDecks(parsed, existing);
+  assert.equal(deck.slides[0].title, 'Pricing plans');
+  assert.equal(deck.slides[0].timing, 20);
+});
+
+test('drops keys the outline owns once it no longer sets them', () => {
+  const parsed = { title: 'Talk', subtitle: '', slides: [{ title: 'Intro', content: [bullets('One')] }] };
+  const existing = {
+    title: 'Talk',
+    title_notes: 'Old notes',
+    slides: [{
+      title: 'Intro',
+      notes: 'Old notes',
+      layout: 'two-column',
+      build: true,
+      content: [{ ...bullets('One'), ordered: true, items: [{ text: 'One', level: 0, fragment: true }] }]
+    }]
+  };
+
+  const { deck, conflicts } = mergeDecks(parsed, existing);
+  assert.deepEqual(conflicts, []);
+  assert.equal('title_notes' in deck, false);
+  assert.deepEqual(deck.slides[0], { title: 'Intro', content: [bullets('One')] });
+});
+
+test('reports the outline winning a conflict', () => {
+  const parsed = { title: '', subtitle: '', slides: [{ title: 'Intro', layout: 'center', content: [] }] };
+  const existing = { slides: [{ title: 'Intro', layout: 'two-column', content: [] }] };
+
+  const { deck, conflicts } = mergeDecks(parsed, existing);
+  assert.equal(deck.slides[0].layout, 'center');
+  assert.deepEqual(conflicts.map(c => [c.slide, c.field]), [['Intro', 'layout']]);
+});
+
+test('warns when YAML-only edits are dropped', () => {
+  const parsed = { title: '', subtitle: '', slides: [{ title: 'Intro', content: [{ type: 'text', text: 'Hi' }] }] };
+  const existing = {
+    slides: [
+      { title: 'Intro', content: [{ type: 'image', src: 'a.png', alt: '', width: 400 }] },
+      { title: 'Removed', timing: 5, content: [] }
+    ]
+  };
+
+  const { deck, conflicts } = mergeDecks(parsed, existing);
+  assert.deepEqual(deck.slides[0].content, [{ type: 'text', text: 'Hi' }]);
+  assert.deepEqual(conflicts.map(c => [c.slide, c.field]), [['Intro', 'content'], ['Removed', null]]);
+  assert.match(conflicts[0].message, /width/);
+});
+
+test('returns the parsed deck when there is nothing to merge into', () => {
+  const parsed = { title: 'Talk', subtitle: '', slides: [] };
+  assert.deepEqual(mergeDecks(parsed, null), { deck: parsed, conflicts: [] });
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { test } from 'node:test';
+import { parseOutline, toOutline } from '../lib/outline.js';
+
+const outline = `# Talk
+## A subtitle
+
+Note: Welcome everyone
+
+---
+
+# Agenda
+<!-- id: agenda -->
+<!-- build: fade-up -->
+
+- First
+  - Nested
++ Revealed
+
+1. One
+2. Two
+
+---
+
+# Code
+
+\`\`\`js {2|3}
+const a = 1;
+const b = 2;
+const c = 3;
+\`\`\`
+
+| Name | Count |
+|:-----|------:|
+| a \\| b | 1 |
+
+> A quote
+
+$$ E = mc^2 $$
+
+![Chart](images/chart.png)
+
+Note: Explain the code
+`;
+
+test('parseOutline reads the title slide, directives and content', () => {
+  const deck = parseOutline(outline);
+  assert.equal(deck.title, 'Talk');
+  assert.equal(deck.subtitle, 'A subtitle');
+  assert.equal(deck.title_notes, 'Welcome everyone');
+  assert.equal(deck.slides.length, 2);
+
+  const [agenda, code] = deck.slides;
+  assert.equal(agenda.id, 'agenda');
+  assert.equal(agenda.build, 'fade-up');
+  assert.deepEqual(agenda.content, [
+    {
+      type: 'bullets',
+      items: [
+        { text: 'First', level: 0 },
+        { text: 'Nested', level: 1 },
+        { text: 'Revealed', level: 0, fragment: true }
+      ]
+    },
+    { type: 'bullets', ordered: true, items: [{ text: 'One', level: 0 }, { text: 'Two', level: 0 }] }
+  ]);
+
+  assert.deepEqual(code.content.map(item => item.type), ['code', 'table', 'quote', 'math', 'image']);
+  assert.equal(code.content[0].focus, '2|3');
+  assert.deepEqual(code.content[1].align, ['left', 'right']);
+  assert.deepEqual(code.content[1].rows, [['a | b', '1']]);
+  assert.equal(code.notes, 'Explain the code');
+});
+
+test('toOutline round-trips through parseOutline', () => {
+  const deck = parseOutline(outline);
+  assert.deepEqual(parseOutline(toOutline(deck)), deck);
+});
+
+test('the bundled outlines round-trip', () => {
+  for (const file of ['input/outline.txt', 'presentations/demo-talk/outline.txt']) {
+    const deck = parseOutline(fs.readFileSync(new URL(`../${file}`, import.meta.url), 'utf-8'));
+    assert.deepEqual(parseOutline(toOutline(deck)), deck, file);
+  }
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { formatError, validateDeck } from '../lib/validate.js';
+
+test('a valid deck has no errors', () => {
+  const source = 'title: Talk\nslides:\n  - title: Intro\n    content:\n      - type: text\n        text: Hello\n';
+  assert.deepEqual(validateDeck(source, { file: 'slides.yaml' }), []);
+});
+
+test('schema errors point at the offending line and column', () => {
+  const source = 'title: Talk\nslides:\n  - title: Intro\n    content:\n      - type: bogus\n';
+  const errors = validateDeck(source, { file: 'slides.yaml' });
+
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].file, 'slides.yaml');
+  assert.equal(errors[0].line, 5);
+  assert.equal(errors[0].column, 9);
+  assert.match(errors[0].message, /Unknown content type "bogus" in slides\[0\]\.content\[0\]/);
+  assert.match(formatError(errors[0]), /^slides\.yaml:5:9/);
+});
+
+test('YAML syntax errors have a position too', () => {
+  const [error] = validateDeck('title: [Talk\n', { file: 'slides.yaml' });
+  assert.equal(error.line, 2);
+  assert.equal(error.column, 1);
+});
+
+test('deck objects are validated without positions', () => {
+  const errors = validateDeck({ title: 'Talk', slides: [{ title: 'Intro', content: [{ type: 'bogus' }] }] });
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].line, null);
+});
+
+test('unknown keys and content types suggest the closest name', () => {
+  const source = 'title: Talk\nslides:\n  - title: Intro\n    timming: 5\n    content:\n      - type: txt\n        text: Hello\n';
+  const errors = validateDeck(source, { file: 'slides.yaml' });
+
+  assert.deepEqual(errors.map(error => [error.line, error.column]), [[4, 5], [6, 9]]);
+  assert.match(errors[0].message, /Unknown key "timming" in slides\[0\] \(did you mean "timing"\?\)/);
+  assert.match(errors[1].message, /Unknown content type "txt" .*\(did you mean "text"\?\)/);
+});
+
+test('no suggestion when nothing is close', () => {
+  const [error] = validateDeck('title: Talk\nwhatever: 1\nslides: []\n', { file: 'slides.yaml' });
+  assert.match(error.message, /Unknown key "whatever"/);
+  assert.doesNotMatch(error.message, /did you mean/);
+});